@@ -3,10 +3,37 @@ const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const profiles = require('./src/profiles');
+const override = require('./src/override');
+const pathMapping = require('./src/paths');
+const images = require('./src/images');
+const compose = require('./src/compose');
+const { ContainerMonitor, isAttachedWindow } = require('./src/container');
+const views = require('./src/views');
+const ports = require('./src/ports');
+const runner = require('./src/runner');
+const runtime = require('./src/runtime');
+const doctor = require('./src/doctor');
+const devcontainer = require('./src/devcontainer');
+const recent = require('./src/recent');
+const tools = require('./src/tools');
+const tasks = require('./src/tasks');
+const packages = require('./src/packages');
+const snapshot = require('./src/snapshot');
+const sidecars = require('./src/sidecars');
+const database = require('./src/database');
+const containerLogs = require('./src/logs');
+const { StatsMonitor } = require('./src/stats');
+const { AutoStop } = require('./src/autostop');
+const jupyter = require('./src/jupyter');
+const ssh = require('./src/ssh');
+const templates = require('./src/templates');
+const gitSetup = require('./src/git');
 
 // Global configuration storage
 let globalState;
 let outputChannel;
+let autoStop;
 
 function activate(context) {
     // Create output channel
@@ -53,7 +80,7 @@ function activate(context) {
                 
                 if (response === 'Update Saved Location') {
                     log(`Updating workspace to: ${workspacePath}`);
-                    await globalState.update('lastWorkspaceFolder', workspacePath);
+                    await rememberWorkspace(workspacePath);
                     vscode.window.showInformationMessage(`Workspace location updated to: ${workspacePath}`);
                 } else {
                     log(`Keeping previous workspace: ${oldWorkspace}`);
@@ -86,11 +113,89 @@ function activate(context) {
     const lastWorkspace = globalState.get('lastWorkspaceFolder');
     log(`Stored workspace at activation: ${lastWorkspace}`);
 
+    // Seed the recent projects list from the single stored workspace of earlier versions
+    if (lastWorkspace && recent.getRecent(globalState).length === 0) {
+        recent.addRecent(globalState, lastWorkspace);
+    }
+
+    // Log which container runtime will be used
+    runtime.detect().then(
+        r => log(`Container runtime: ${r.label} (${r.engine} ${r.engineVersion}, compose ${r.composeVersion})`),
+        error => log(error.message)
+    );
+
+    // Track the container state from docker inspect for the status bar and the RSM view
+    const monitor = new ContainerMonitor(
+        () => compose.containerName(profiles.resolveProfile(context)),
+        log,
+        () => sidecars.enabledSidecars(profiles.resolveProfile(context))
+    );
+    // Sample CPU, memory and I/O of the running container for the RSM view and status bar tooltip
+    const stats = new StatsMonitor(monitor, () => compose.containerName(profiles.resolveProfile(context)), log);
+    const treeProvider = new views.ContainerTreeProvider(monitor, stats);
+    monitor.start(vscode.workspace.getConfiguration('rsm-vscode').get('statusInterval'));
+    context.subscriptions.push(monitor);
+    context.subscriptions.push(stats);
+    context.subscriptions.push(treeProvider);
+    context.subscriptions.push(views.createStatusBarItem(monitor, stats));
+    context.subscriptions.push(vscode.window.registerTreeDataProvider('rsm-container', treeProvider));
+
+    // Stop the container when the last attached window closes or it sits idle (rsm-vscode.autoStop)
+    autoStop = new AutoStop(context, monitor, () => profiles.resolveProfile(context), log);
+    autoStop.start();
+    context.subscriptions.push(autoStop);
+
+    // Radiant, GitGadget and other web tools started in the container
+    const toolManager = new tools.ToolManager(() => profiles.resolveProfile(context), log);
+    context.subscriptions.push(toolManager);
+
+    // Jupyter servers in the container offered to the Jupyter extension's kernel picker
+    const jupyterProvider = new jupyter.JupyterServerProvider(() => profiles.resolveProfile(context), monitor, log, startJupyterServer);
+    context.subscriptions.push(jupyterProvider);
+
+    // User-installed R and Python packages in the container
+    const packageProvider = new views.PackageTreeProvider(monitor, () => packages.listPackages(profiles.resolveProfile(context)));
+    context.subscriptions.push(packageProvider);
+    context.subscriptions.push(vscode.window.createTreeView('rsm-packages', {
+        treeDataProvider: packageProvider,
+        canSelectMany: true
+    }));
+
+    // Container logs followed into their own output channel, until the container stops
+    const logFollower = new containerLogs.LogFollower(log);
+    context.subscriptions.push(logFollower);
+    context.subscriptions.push(monitor.onDidChange(() => {
+        if (monitor.state === 'stopped' && logFollower.following) {
+            logFollower.stop();
+        }
+    }));
+
+    // Container scripts as `rsm` tasks for tasks.json, dependsOn chains and keybindings
+    const taskProvider = new tasks.RsmTaskProvider(() => profiles.resolveProfile(context), toolManager);
+    context.subscriptions.push(vscode.tasks.registerTaskProvider(tasks.TASK_TYPE, taskProvider));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('rsm-vscode.runtime')) {
+            runtime.reset();
+        }
+        if (event.affectsConfiguration('rsm-vscode')) {
+            monitor.start(vscode.workspace.getConfiguration('rsm-vscode').get('statusInterval'));
+        }
+        if (event.affectsConfiguration('rsm-vscode.statsInterval')) {
+            stats.restart();
+        }
+        // Settings rendered into the compose override only apply when the container is recreated
+        const containerSettings = ['timezone', 'environment', 'cpus', 'memory', 'shmSize', 'extraMounts', 'forwardSshAgent'];
+        if (containerSettings.some(key => event.affectsConfiguration(`rsm-vscode.${key}`)) &&
+            (monitor.state === 'running' || monitor.state === 'attached')) {
+            vscode.window.showInformationMessage('Container settings changed. They apply the next time the RSM container is started.');
+        }
+    }));
+
     // Helper function to check if we're in the container
     async function isInContainer() {
-        // First check if we're in a dev container
-        if (vscode.env.remoteName === 'dev-container') {
-            log('In dev container based on remoteName');
+        // First check if we're in a dev container or the managed SSH host
+        if (isAttachedWindow()) {
+            log(`In the container based on remoteName (${vscode.env.remoteName})`);
             
             // Optional: Add additional checks if needed
             const containerChecks = {
@@ -106,155 +211,469 @@ function activate(context) {
         return false;
     }
 
-    // Helper function to execute commands in the container
-    async function execInContainer(command) {
-        const terminal = await vscode.window.createTerminal({
-            name: 'RSM Command',
-            shellPath: '/bin/bash'
+    // Helper function to execute commands in the container.
+    // Resolves with { stdout, stderr, code }; options support timeout, token (cancellation) and cwd.
+    function execInContainer(command, options = {}) {
+        const profile = profiles.resolveProfile(context);
+        return runtime.exec(compose.containerName(profile), command, {
+            user: profile.remoteUser,
+            timeout: 30000,
+            ...options
         });
-        
-        return new Promise((resolve, reject) => {
-            let output = '';
-            const listener = vscode.window.onDidWriteTerminalData(e => {
-                if (e.terminal === terminal) {
-                    output += e.data;
+    }
+
+    // Helper function to build the host/container path mapping from the compose files as last
+    // written for a container start. Read-only: it never rewrites the override file.
+    function getPathMapper(profile = profiles.resolveProfile(context)) {
+        const mounts = pathMapping.parseVolumes(profile.composeFiles, profile.service);
+        return pathMapping.createPathMapper(mounts);
+    }
+
+    // Helper function to map a host folder into the container. When the folder is not
+    // mounted, offer to add a bind mount for it; returns undefined if the user declines.
+    async function mapHostFolder(localPath) {
+        const containerPath = getPathMapper().toContainer(localPath);
+        if (containerPath) {
+            return { containerPath, mountAdded: false };
+        }
+
+        const target = pathMapping.suggestMountTarget(localPath);
+        log(`Folder is not mounted into the container: ${localPath}`);
+        const choice = await vscode.window.showWarningMessage(
+            `"${localPath}" is not mounted into the RSM container. Add a bind mount at ${target}? The container will be recreated to apply it.`,
+            { modal: true },
+            'Add Bind Mount'
+        );
+        if (choice !== 'Add Bind Mount') {
+            vscode.window.showErrorMessage(`Cannot open "${localPath}" in the container: the folder is not mounted`);
+            return undefined;
+        }
+
+        await override.addExtraMount(localPath, target);
+        log(`Added bind mount: ${localPath}:${target}`);
+        // The mount maps the folder itself; the override file picks it up when the container is recreated
+        return { containerPath: target, mountAdded: true };
+    }
+
+    // Helper function to let the user pick a project folder on the host
+    async function promptForProjectFolder() {
+        const options = {
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            defaultUri: vscode.Uri.file(os.homedir()),
+            openLabel: 'Select Project Folder'
+        };
+
+        const result = await vscode.window.showOpenDialog(options);
+        return result && result[0] ? result[0].fsPath : undefined;
+    }
+
+    // Helper function to store the workspace as the last used one and in the recent projects list
+    async function rememberWorkspace(containerPath) {
+        await globalState.update('lastWorkspaceFolder', containerPath);
+        await recent.addRecent(globalState, containerPath);
+    }
+
+    // Helper function to pick a project from the recent projects list, falling back to the
+    // folder dialog. Returns { localPath, containerPath, mountAdded } or undefined.
+    async function chooseProjectFolder(profile) {
+        if (recent.getRecent(globalState).length > 0) {
+            const mapper = getPathMapper(profile);
+            const picked = await recent.pickRecentProject(globalState, containerPath => mapper.toHost(containerPath));
+            if (!picked) {
+                return undefined;
+            }
+            if (!picked.browse) {
+                return { ...picked, mountAdded: false };
+            }
+        }
+
+        const localPath = await promptForProjectFolder();
+        const mapped = localPath && await mapHostFolder(localPath);
+        return mapped ? { localPath, ...mapped } : undefined;
+    }
+
+    // Helper function to compare the profile's image with the registry and offer to pull it.
+    // Only reports "up to date" when run interactively.
+    async function checkImageUpdates(interactive) {
+        const profile = profiles.resolveProfile(context);
+        const ref = profile.imageRef;
+        const registry = vscode.workspace.getConfiguration('rsm-vscode').get('registry');
+
+        log(`Checking for updates to ${ref}`);
+        const result = await images.checkForUpdate(ref, registry);
+        log(`Local digests: ${result.local ? result.local.digests.join(', ') || 'none' : 'image not present'}`);
+        log(`Registry digest: ${result.remoteDigest}`);
+
+        if (!result.updateAvailable) {
+            log(`${ref} is up to date`, interactive);
+            return;
+        }
+
+        const message = result.local ?
+            `A newer version of ${ref} is available.` :
+            `${ref} is not available locally.`;
+        const choice = await vscode.window.showInformationMessage(message, 'Pull Image', 'Later');
+        if (choice !== 'Pull Image') {
+            return;
+        }
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Pulling ${ref}`,
+            cancellable: true
+        }, (progress, token) => images.pullImage(ref, update => {
+            progress.report({ message: update.message, increment: update.increment });
+        }, token));
+        log(`Pulled ${ref}`);
+
+        const updated = await images.getLocalImage(ref);
+        if (!result.local || !updated || updated.id === result.local.id) {
+            vscode.window.showInformationMessage(`Pulled ${ref}`);
+            return;
+        }
+
+        const prune = await vscode.window.showInformationMessage(
+            `Pulled ${ref}. Restart the container to use it. Remove the previous image to free disk space?`,
+            'Remove Old Image',
+            'Keep'
+        );
+        if (prune === 'Remove Old Image') {
+            try {
+                await images.removeImage(result.local.id);
+                log(`Removed superseded image ${result.local.id}`, true);
+            } catch (error) {
+                log(`Could not remove ${result.local.id}: ${error.message}`);
+                vscode.window.showWarningMessage('Could not remove the previous image. If the container is still using it, stop the container and try again.');
+            }
+        }
+    }
+
+    // Check for a newer image in the background when enabled
+    if (vscode.workspace.getConfiguration('rsm-vscode').get('checkForUpdates')) {
+        checkImageUpdates(false).catch(error => log(`Image update check failed: ${error.message}`));
+    }
+
+    // Helper function to check the published ports before starting the container.
+    // Offers free alternatives for ports that are taken; returns false to abort the start.
+    async function resolvePortConflicts(profile) {
+        await monitor.refresh();
+        if (monitor.info?.State?.Running) {
+            // Our own container already holds its ports
+            return true;
+        }
+
+        const conflicts = await ports.findConflicts(profile);
+        if (conflicts.length === 0) {
+            return true;
+        }
+
+        const details = conflicts.map(c => `${c.published} (used by ${c.holder})`).join(', ');
+        log(`Port conflicts: ${details}`);
+        if (conflicts.some(c => !c.suggestion)) {
+            vscode.window.showErrorMessage(`Cannot start the RSM container. Ports in use: ${details}`);
+            return false;
+        }
+
+        // Remaps replace the shipped port list with a compose merge tag
+        const detected = await runtime.detect();
+        if (!detected.mergeTags) {
+            log(`${detected.label} ${detected.composeVersion} cannot remap ports`, true);
+            vscode.window.showErrorMessage(`Cannot start the RSM container. Ports in use: ${details}. ` +
+                `Remapping them needs Docker Compose ${runtime.MERGE_TAGS_VERSION} or later, not ${detected.label} ${detected.composeVersion}. ` +
+                'Stop the programs holding these ports or update Docker Compose.');
+            return false;
+        }
+
+        const alternatives = conflicts.map(c => `${c.published} → ${c.suggestion}`).join(', ');
+        const choice = await vscode.window.showWarningMessage(
+            `Ports needed by the RSM container are in use: ${details}. Use ${alternatives} instead?`,
+            { modal: true },
+            'Remap Ports'
+        );
+        if (choice !== 'Remap Ports') {
+            return false;
+        }
+
+        const remaps = { ...ports.getRemaps() };
+        for (const conflict of conflicts) {
+            remaps[String(conflict.target)] = conflict.suggestion;
+        }
+        await ports.saveRemaps(remaps);
+        log(`Remapped ports: ${alternatives}`);
+        return true;
+    }
+
+    // Helper function to run one of the container scripts as an `rsm` task and report how it ended
+    async function runScriptTask(script) {
+        // The task's pseudoterminal reports the exit code when it closes
+        let onExit;
+        const exited = new Promise(resolve => onExit = resolve);
+        const task = taskProvider.createTask({ type: tasks.TASK_TYPE, script }, undefined, onExit);
+        let execution;
+        try {
+            execution = await vscode.tasks.executeTask(task);
+        } catch (error) {
+            log(`Could not run task ${script}: ${error.message}`, true);
+            return;
+        }
+        // A task terminated before its terminal opened ends without an exit code
+        const listener = vscode.tasks.onDidEndTask(event => {
+            if (event.execution === execution) {
+                onExit(undefined);
+            }
+        });
+        const code = await exited;
+        listener.dispose();
+        monitor.refresh();
+        if (code === 0) {
+            log(`Task ${script} finished`);
+        } else if (code === undefined) {
+            log(`Task ${script} ended before it ran`, true);
+        } else {
+            log(`Task ${script} failed with exit code ${code}. See the task terminal for details.`, true);
+        }
+    }
+
+    // Helper function to find the project folder on the host: the open folder (mapped back
+    // from the container when attached), or one picked by the user
+    async function currentProjectFolder() {
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (folder) {
+            if (!isAttachedWindow()) {
+                return folder.uri.fsPath;
+            }
+            const localPath = getPathMapper().toHost(folder.uri.path);
+            if (localPath) {
+                return localPath;
+            }
+        }
+        return promptForProjectFolder();
+    }
+
+    // Helper function to look up a tool by id, or let the user pick one
+    async function resolveTool(id, placeHolder) {
+        if (typeof id !== 'string') {
+            return tools.pickTool(placeHolder);
+        }
+        const tool = tools.getTool(id);
+        if (!tool) {
+            vscode.window.showErrorMessage(`Unknown tool "${id}". Check the rsm-vscode.tools setting.`);
+        }
+        return tool;
+    }
+
+    // Helper function to check that the RSM container is up before talking to it
+    async function ensureContainerRunning() {
+        await monitor.refresh();
+        if (monitor.state === 'running' || monitor.state === 'attached') {
+            return true;
+        }
+        vscode.window.showErrorMessage('The RSM container is not running. Start it with "RSM: Attach to Container" first.');
+        return false;
+    }
+
+    // Helper function to start a tool if needed, wait for its port and open it
+    async function runTool(tool) {
+        try {
+            const ready = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: tool.label,
+                cancellable: true
+            }, (progress, token) => toolManager.start(tool, progress, token));
+            monitor.refresh();
+            if (!ready) {
+                log(`${tool.label} did not answer on port ${tool.port}. See ${tool.id}.log in /tmp/rsm-tools in the container.`, true);
+                return;
+            }
+            await toolManager.open(tool);
+        } catch (error) {
+            log(`Failed to start ${tool.label}: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
+        }
+    }
+
+    // Helper function to start a Jupyter server on the published port; resolves true once it answers
+    async function startJupyterServer() {
+        if (!(await ensureContainerRunning())) {
+            return false;
+        }
+        const tool = jupyter.jupyterTool();
+        try {
+            const ready = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: tool.label,
+                cancellable: true
+            }, (progress, token) => toolManager.start(tool, progress, token));
+            monitor.refresh();
+            if (!ready) {
+                log(`${tool.label} did not answer on port ${tool.port}. See ${tool.id}.log in /tmp/rsm-tools in the container.`, true);
+            }
+            return ready;
+        } catch (error) {
+            log(`Failed to start ${tool.label}: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
+            return false;
+        }
+    }
+
+    // Helper function to stream compose output line by line into a progress notification and the log
+    function streamCompose(progress) {
+        const onLine = runner.lineSplitter(line => {
+            log(`compose: ${line}`);
+            progress.report({ message: line.length > 100 ? `${line.slice(0, 97)}...` : line });
+        });
+        return { onStdout: onLine, onStderr: onLine };
+    }
+
+    // Helper function to bring the profile's services up and wait until the RSM container runs
+    // (or reports healthy), instead of sleeping for a fixed time
+    async function startService(profile, progress, token) {
+        // Pin the profile's image and start the service through the detected runtime
+        override.writeOverride(profile);
+        progress.report({ message: "Starting services..." });
+        await runtime.up(profile, { ...streamCompose(progress), token });
+
+        const timeout = (vscode.workspace.getConfiguration('rsm-vscode').get('startTimeout') || 120) * 1000;
+        progress.report({ message: "Waiting for the container to be ready..." });
+        await runtime.waitForReady(compose.containerName(profile), {
+            timeout,
+            token,
+            onStatus: status => progress.report({ message: `Waiting for the container to be ready (${status})...` })
+        });
+        log(`${compose.containerName(profile)} is ready`);
+    }
+
+    // Helper function to recreate the container so a newly added bind mount applies. Dev Containers
+    // does this when it reopens the folder; Remote-SSH does not. Resolves false on failure or cancel.
+    async function applyNewMount(profile) {
+        log('Recreating the container to apply the new bind mount');
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Applying the new bind mount",
+            cancellable: true
+        }, async (progress, token) => {
+            monitor.setStarting(true);
+            try {
+                await startService(profile, progress, token);
+                return true;
+            } catch (error) {
+                monitor.setStarting(false);
+                if (token.isCancellationRequested) {
+                    log('Recreating the container was cancelled');
+                } else {
+                    log(`Failed to recreate the container: ${error.message}`, true);
                 }
-            });
-            
-            terminal.sendText(command);
-            // Give the command some time to execute
-            setTimeout(() => {
-                listener.dispose();
-                terminal.dispose();
-                resolve(output);
-            }, 1000);
+                return false;
+            }
         });
     }
 
     // Command to start and attach to container
     let startContainer = vscode.commands.registerCommand('rsm-vscode.startContainer', async function () {
-        // Determine if we're on ARM architecture
-        const isArm = os.arch() === 'arm64';
-        const composeFileName = isArm ? 'docker-compose-k8s-arm.yml' : 'docker-compose-k8s-intel.yml';
-        const imageName = isArm ? 'vnijs/rsm-msba-k8s-arm:latest' : 'vnijs/rsm-msba-k8s-intel:latest';
-        
-        // Get the path to the docker-compose file
-        const composeFile = path.join(context.extensionPath, 'docker-compose', composeFileName);
-        
-        log(`Using compose file: ${composeFile} for ${os.arch()} architecture`);
-
-        // Verify compose file exists
-        if (!fs.existsSync(composeFile)) {
-            vscode.window.showErrorMessage(`Docker compose file not found: ${composeFile}`);
+        // Resolve the active container profile
+        let profile;
+        try {
+            profile = profiles.resolveProfile(context);
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return;
+        }
+        const composeFile = profile.composeFile;
+
+        log(`Using profile ${profile.name} (${profile.imageRef}) with compose file: ${composeFile}`);
+
+        // Run the blocking preflight checks (runtime, daemon, compose file, Dev Containers)
+        const failures = (await doctor.runChecks(profile, { fatalOnly: true })).filter(r => r.status === 'fail');
+        if (failures.length > 0) {
+            failures.forEach(f => log(`Preflight check failed: ${f.title}: ${f.detail}`));
+            const choice = await vscode.window.showErrorMessage(
+                `Cannot start the RSM container: ${failures[0].detail}. ${failures[0].fix}`,
+                'Run RSM: Doctor'
+            );
+            if (choice === 'Run RSM: Doctor') {
+                vscode.commands.executeCommand('rsm-vscode.doctor');
+            }
             return;
         }
 
-        // Show progress while starting container
+        // Show staged progress while starting the container; cancelling removes a half-started container
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
-            title: "Starting RSM container...",
-            cancellable: false
-        }, async (progress) => {
+            title: "Starting RSM container",
+            cancellable: true
+        }, async (progress, token) => {
+            let started = false;
             try {
-                // Start the container using docker-compose
-                progress.report({ message: "Starting container with docker-compose..." });
-                
-                // Change to the docker-compose directory before running docker-compose
-                const composeDir = path.dirname(composeFile);
-                const command = `cd "${composeDir}" && docker-compose -f "${composeFileName}" up -d`;
-                
-                log(`Executing command: ${command}`);
-                await execPromise(command);
+                // Make sure the published ports are free, remapping them if needed
+                progress.report({ message: "Checking ports..." });
+                if (!(await resolvePortConflicts(profile))) {
+                    log('Container start cancelled because of port conflicts');
+                    return;
+                }
+                if (token.isCancellationRequested) {
+                    return;
+                }
 
-                // Wait a moment for container to be ready
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                monitor.setStarting(true);
+                const detected = await runtime.detect();
+                log(`Starting ${profile.service} with ${detected.label} ${detected.composeVersion}`);
+                started = true;
+                await startService(profile, progress, token);
 
                 // Get the last used workspace folder or default to home
+                const containerHome = `/home/${profile.remoteUser}`;
                 const lastWorkspace = globalState.get('lastWorkspaceFolder');
-                let workspaceFolder = '/home/jovyan';
-               
-                if (!lastWorkspace || lastWorkspace === '/home/jovyan') {
-                    // If no previous workspace or using home, prompt for folder
-                    const options = {
-                        canSelectFiles: false,
-                        canSelectFolders: true,
-                        canSelectMany: false,
-                        defaultUri: vscode.Uri.file(os.homedir()),
-                        openLabel: 'Select Project Folder'
-                    };
-
-                    const result = await vscode.window.showOpenDialog(options);
-                    if (result && result[0]) {
-                        // Convert local path to container path
-                        const localPath = result[0].fsPath;
-                        workspaceFolder = localPath.replace(os.homedir(), '/home/jovyan');
-                        // Store the selected workspace
-                        await globalState.update('lastWorkspaceFolder', workspaceFolder);
-                        log(`Selected new workspace: ${workspaceFolder}`);
-                    }
-                } else {
+                let workspaceFolder = containerHome;
+                let promptForFolder = !lastWorkspace || lastWorkspace === containerHome;
+
+                if (!promptForFolder) {
                     // Convert the stored container path to local path to check if it exists
-                    const localPath = lastWorkspace.replace('/home/jovyan', os.homedir());
-                    if (fs.existsSync(localPath)) {
+                    const localPath = getPathMapper(profile).toHost(lastWorkspace);
+                    if (localPath && fs.existsSync(localPath)) {
                         workspaceFolder = lastWorkspace;
                         log(`Using stored workspace: ${workspaceFolder}`);
                     } else {
-                        // If path doesn't exist, prompt for new folder
                         log(`Stored workspace not found: ${lastWorkspace}, prompting for new location`);
-                        const options = {
-                            canSelectFiles: false,
-                            canSelectFolders: true,
-                            canSelectMany: false,
-                            defaultUri: vscode.Uri.file(os.homedir()),
-                            openLabel: 'Select Project Folder'
-                        };
-
-                        const result = await vscode.window.showOpenDialog(options);
-                        if (result && result[0]) {
-                            // Convert local path to container path
-                            const localPath = result[0].fsPath;
-                            workspaceFolder = localPath.replace(os.homedir(), '/home/jovyan');
-                            // Store the selected workspace
-                            await globalState.update('lastWorkspaceFolder', workspaceFolder);
-                            log(`Selected new workspace: ${workspaceFolder}`);
-                        }
+                        promptForFolder = true;
                     }
                 }
 
-                // Convert container path to local path
-                const localPath = workspaceFolder.replace('/home/jovyan', os.homedir());
-                const folderName = path.basename(localPath);
+                if (promptForFolder) {
+                    progress.report({ message: "Choosing a project folder..." });
+                    const mapped = await chooseProjectFolder(profile);
+                    if (mapped) {
+                        workspaceFolder = mapped.containerPath;
+                        // Store the selected workspace
+                        await rememberWorkspace(workspaceFolder);
+                        log(`Selected new workspace: ${workspaceFolder}`);
 
-                // Create temporary .devcontainer directory and file for initial connection
-                const tempDir = path.join(os.homedir(), '.devcontainer');
-                if (!fs.existsSync(tempDir)) {
-                    fs.mkdirSync(tempDir);
+                        if (mapped.mountAdded) {
+                            // Recreate the container so the new bind mount is applied
+                            log('Recreating the container to apply the new bind mount');
+                            await startService(profile, progress, token);
+                        }
+                    }
+                }
+                if (token.isCancellationRequested) {
+                    throw new Error('Container start was cancelled');
                 }
 
-                // Create temporary devcontainer.json content
-                const tempDevcontainerContent = {
-                    "name": isArm ? "rsm-msba-arm" : "rsm-msba-intel",
-                    "dockerComposeFile": [
-                        path.join(context.extensionPath, 'docker-compose', composeFileName)
-                    ],
-                    "service": "rsm-msba",
-                    "workspaceFolder": workspaceFolder,
-                    "remoteUser": "jovyan",
-                    "overrideCommand": false,
-                    "remoteWorkspaceFolder": workspaceFolder,
-                    "customizations": {
-                        "vscode": {
-                            "extensions": [
-                                "ms-vscode-remote.remote-containers"
-                            ]
-                        }
+                progress.report({ message: "Attaching VS Code..." });
+                if (ssh.attachMode() === 'ssh') {
+                    // Log in over the published SSH port with Remote-SSH instead of Dev Containers
+                    if (!(await ssh.attach(profile, workspaceFolder, log))) {
+                        log('SSH attach cancelled; the container keeps running');
                     }
-                };
+                    return;
+                }
 
-                fs.writeFileSync(
-                    path.join(tempDir, 'devcontainer.json'),
-                    JSON.stringify(tempDevcontainerContent, null, 2)
-                );
+                // Write the devcontainer.json for the initial connection, keeping user customizations
+                const devcontainerFile = path.join(os.homedir(), '.devcontainer', 'devcontainer.json');
+                if (!(await devcontainer.writeDevcontainer(devcontainerFile, profile, workspaceFolder, globalState))) {
+                    log(`Kept ${devcontainerFile} unchanged at the user's request`);
+                }
 
                 try {
                     // Connect to container directly without asking
@@ -267,6 +686,22 @@ function activate(context) {
                     log(`Full error: ${error.stack}`);
                 }
             } catch (error) {
+                monitor.setStarting(false);
+                if (token.isCancellationRequested) {
+                    log('Container start cancelled');
+                    if (started) {
+                        // Remove whatever compose created so the next start begins from a clean state
+                        progress.report({ message: "Cancelled, removing the half-started container..." });
+                        try {
+                            await runtime.down(profile, streamCompose(progress));
+                        } catch (cleanupError) {
+                            log(`Could not remove the half-started container: ${cleanupError.message}`, true);
+                        }
+                        monitor.refresh();
+                    }
+                    vscode.window.showInformationMessage('Container start cancelled');
+                    return;
+                }
                 log(`Failed to start container: ${error.message}`, true);  // Show in popup
                 log(`Full error: ${error.stack}`);  // Full stack trace in log only
             }
@@ -281,144 +716,414 @@ function activate(context) {
         }
 
         try {
-            // Store current workspace before detaching
             const currentFolder = vscode.workspace.workspaceFolders?.[0];
-            if (currentFolder) {
-                const workspacePath = currentFolder.uri.fsPath;
-                log(`Storing workspace before detaching: ${workspacePath}`);
-                await globalState.update('lastWorkspaceFolder', workspacePath);
+            if (!currentFolder) {
+                throw new Error('No workspace folder found');
             }
 
-            // First, reopen the workspace locally
-            if (currentFolder) {
-                // Convert container path back to local path
-                const localPath = currentFolder.uri.path.replace('/home/jovyan', os.homedir());
-                await vscode.commands.executeCommand(
-                    'vscode.openFolder',
-                    vscode.Uri.file(localPath),
-                    { forceReuseWindow: true }
-                );
-                
-                // Wait a moment for the window to reopen
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                
-                // Then stop the container using docker-compose
-                const isArm = os.arch() === 'arm64';
-                const composeFileName = isArm ? 'docker-compose-k8s-arm.yml' : 'docker-compose-k8s-intel.yml';
-                const composeFile = path.join(context.extensionPath, 'docker-compose', composeFileName);
-                const composeDir = path.dirname(composeFile);
-                
-                await execPromise(`cd "${composeDir}" && docker-compose -f "${composeFileName}" down`);
-                vscode.window.showInformationMessage('Container stopped successfully');
-            } else {
-                throw new Error('No workspace folder found');
+            // Store current workspace before detaching
+            const workspacePath = currentFolder.uri.fsPath;
+            log(`Storing workspace before detaching: ${workspacePath}`);
+            await rememberWorkspace(workspacePath);
+
+            // Convert container path back to local path
+            const profile = profiles.resolveProfile(context);
+            const localPath = getPathMapper(profile).toHost(currentFolder.uri.path);
+            if (!localPath) {
+                throw new Error(`${currentFolder.uri.path} is not mounted from the host`);
+            }
+
+            // Stop the container first: this extension runs on the host, so it keeps going while
+            // the window loses its connection, and reopening the folder locally ends this window
+            const stopped = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: "Stopping RSM container",
+                cancellable: true
+            }, async (progress, token) => {
+                override.writeOverride(profile);
+                try {
+                    await runtime.down(profile, { ...streamCompose(progress), token });
+                    return true;
+                } catch (error) {
+                    if (token.isCancellationRequested) {
+                        log('Container stop cancelled; some services may already be stopped', true);
+                        return false;
+                    }
+                    throw error;
+                } finally {
+                    monitor.refresh();
+                }
+            });
+            if (!stopped) {
+                return;
             }
+
+            log('Container stopped, reopening the folder locally');
+            await vscode.commands.executeCommand(
+                'vscode.openFolder',
+                vscode.Uri.file(localPath),
+                { forceReuseWindow: true }
+            );
         } catch (error) {
             log(`Failed to stop container: ${error.message}`, true);
             log(`Full error: ${error.stack}`);
         }
+
     });
 
-    // Command to start Radiant
-    let startRadiant = vscode.commands.registerCommand('rsm-vscode.startRadiant', async function () {
-        if (!(await isInContainer())) {
-            vscode.window.showErrorMessage('Please connect to the RSM container first using "RSM: Start and Attach to Container"');
+    // Command to start a managed tool (Radiant, GitGadget or one from the rsm-vscode.tools setting)
+    let startTool = vscode.commands.registerCommand('rsm-vscode.startTool', async function (id) {
+        const tool = await resolveTool(id, 'Select a tool to start');
+        if (tool && await ensureContainerRunning()) {
+            await runTool(tool);
+        }
+    });
+
+    // Command to stop a managed tool
+    let stopTool = vscode.commands.registerCommand('rsm-vscode.stopTool', async function (id) {
+        const tool = await resolveTool(id, 'Select a tool to stop');
+        if (!tool || !(await ensureContainerRunning())) {
             return;
         }
+        try {
+            await toolManager.stop(tool);
+            monitor.refresh();
+            vscode.window.showInformationMessage(`${tool.label} stopped`);
+        } catch (error) {
+            log(`Failed to stop ${tool.label}: ${error.message}`, true);
+        }
+    });
 
+    // Command to restart a managed tool
+    let restartTool = vscode.commands.registerCommand('rsm-vscode.restartTool', async function (id) {
+        const tool = await resolveTool(id, 'Select a tool to restart');
+        if (!tool || !(await ensureContainerRunning())) {
+            return;
+        }
         try {
-            // Create and show terminal
-            const terminal = await vscode.window.createTerminal({
-                name: 'Radiant',
-                shellPath: '/bin/zsh'
-            });
-            
-            terminal.show();
-            
-            // Execute radiant in the terminal
-            terminal.sendText('/usr/local/bin/radiant');
+            await toolManager.stop(tool);
         } catch (error) {
-            log(`Failed to start Radiant: ${error.message}`, true);
-            log(`Full error: ${error.stack}`);
-            vscode.window.showErrorMessage(`Failed to start Radiant: ${error.message}`);
+            log(`Failed to stop ${tool.label}: ${error.message}`, true);
+            return;
         }
+        await runTool(tool);
     });
 
-    // Command to start GitGadget
-    let startGitGadget = vscode.commands.registerCommand('rsm-vscode.startGitGadget', async function () {
-        if (!(await isInContainer())) {
-            vscode.window.showErrorMessage('Please connect to the RSM container first using "RSM: Start and Attach to Container"');
+    // Commands to start Radiant and GitGadget
+    let startRadiant = vscode.commands.registerCommand('rsm-vscode.startRadiant', () => runScriptTask('radiant'));
+    let startGitGadget = vscode.commands.registerCommand('rsm-vscode.startGitGadget', () => runScriptTask('gitgadget'));
+
+    // Command to clean R and Python packages, removing every user-installed package at once
+    let cleanPackages = vscode.commands.registerCommand('rsm-vscode.cleanPackages', async function () {
+        const choice = await vscode.window.showWarningMessage(
+            'Uninstall all user-installed R and Python packages in the RSM container? Packages installed in the image are kept. Use the Packages view to remove individual packages instead.',
+            { modal: true },
+            'Uninstall All'
+        );
+        if (choice !== 'Uninstall All') {
+            return;
+        }
+        await runScriptTask('clean');
+        packageProvider.refresh();
+    });
+
+    // Command to uninstall the selected packages from the Packages view
+    let uninstallPackage = vscode.commands.registerCommand('rsm-vscode.uninstallPackage', async function (item, selected) {
+        const items = (selected && selected.length > 0 ? selected : [item]).filter(i => i?.package);
+        if (items.length === 0) {
+            return;
+        }
+        const selectedPackages = items.map(i => i.package);
+        const names = selectedPackages.map(p => `${p.name} ${p.version}`).join(', ');
+        const shadowing = selectedPackages.filter(p => p.shadows);
+        const detail = shadowing.length > 0 ?
+            `The image version will be used again for ${shadowing.map(p => `${p.name} (${p.shadows})`).join(', ')}.` : undefined;
+        const choice = await vscode.window.showWarningMessage(`Uninstall ${names}?`, { modal: true, detail }, 'Uninstall');
+        if (choice !== 'Uninstall') {
             return;
         }
 
         try {
-            // Create and show terminal
-            const terminal = await vscode.window.createTerminal({
-                name: 'GitGadget',
-                shellPath: '/bin/zsh'
-            });
-            
-            terminal.show();
-            
-            // Execute gitgadget in the terminal
-            terminal.sendText('/usr/local/bin/gitgadget');
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Uninstalling ${names}...`
+            }, () => packages.uninstall(profiles.resolveProfile(context), selectedPackages));
+            log(`Uninstalled ${names}`);
         } catch (error) {
-            log(`Failed to start GitGadget: ${error.message}`, true);
-            log(`Full error: ${error.stack}`);
-            vscode.window.showErrorMessage(`Failed to start GitGadget: ${error.message}`);
+            log(`Failed to uninstall packages: ${error.message}`, true);
         }
+        packageProvider.refresh();
     });
 
-    // Command to clean R and Python packages
-    let cleanPackages = vscode.commands.registerCommand('rsm-vscode.cleanPackages', async function () {
-        if (!(await isInContainer())) {
-            vscode.window.showErrorMessage('Please connect to the RSM container first using "RSM: Start and Attach to Container"');
+    // Command to record the image and user-installed packages in a lockfile in the project folder
+    let snapshotEnvironment = vscode.commands.registerCommand('rsm-vscode.snapshotEnvironment', async function () {
+        const projectFolder = await currentProjectFolder();
+        if (!projectFolder) {
             return;
         }
+        try {
+            const profile = profiles.resolveProfile(context);
+            const recorded = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'Recording R and Python packages...'
+            }, () => snapshot.createSnapshot(profile));
+            const file = snapshot.writeSnapshot(projectFolder, recorded);
+            log(`Wrote ${file}: ${recorded.r.length} R and ${recorded.python.length} Python packages, image ${recorded.image.digest || recorded.image.id}`);
+            const choice = await vscode.window.showInformationMessage(
+                `Saved ${recorded.r.length} R and ${recorded.python.length} Python packages to ${snapshot.LOCKFILE}`,
+                'Open'
+            );
+            if (choice === 'Open') {
+                await vscode.window.showTextDocument(vscode.Uri.file(file));
+            }
+        } catch (error) {
+            log(`Failed to snapshot the environment: ${error.message}`, true);
+        }
+    });
 
+    // Command to reinstall the packages recorded in the project's lockfile
+    let restoreEnvironment = vscode.commands.registerCommand('rsm-vscode.restoreEnvironment', async function () {
+        const projectFolder = await currentProjectFolder();
+        if (!projectFolder) {
+            return;
+        }
         try {
-            // Create and show terminal
-            const terminal = await vscode.window.createTerminal({
-                name: 'Clean Packages',
-                shellPath: '/bin/zsh'
-            });
-            
-            terminal.show();
-            
-            // Execute clean command
-            terminal.sendText('/usr/local/bin/clean');
+            const profile = profiles.resolveProfile(context);
+            const recorded = snapshot.readSnapshot(projectFolder);
+            const comparison = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'Comparing the environment with the lockfile...'
+            }, () => snapshot.compareSnapshot(profile, recorded));
+
+            const warnings = [];
+            if (comparison.imageChanged) {
+                warnings.push(`The lockfile was made with ${recorded.image.ref} (${recorded.image.digest || recorded.image.id}), the container runs ${comparison.image.ref} (${comparison.image.digest || comparison.image.id}).`);
+            }
+            if (recorded.profile.name !== profile.name) {
+                warnings.push(`The lockfile was made with profile "${recorded.profile.name}", the active profile is "${profile.name}".`);
+            }
+            if (warnings.length > 0) {
+                const choice = await vscode.window.showWarningMessage(
+                    `${warnings.join(' ')} Packages may behave differently.`,
+                    { modal: true },
+                    'Restore Anyway'
+                );
+                if (choice !== 'Restore Anyway') {
+                    return;
+                }
+            }
+            if (comparison.toInstall.length === 0) {
+                vscode.window.showInformationMessage('All packages in the lockfile are already installed');
+                return;
+            }
+
+            const names = comparison.toInstall.map(p => `${p.name} ${p.version}`).join(', ');
+            log(`Restoring packages: ${names}`);
+            outputChannel.show(true);
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Installing ${comparison.toInstall.length} packages...`
+            }, () => packages.install(profile, comparison.toInstall, data => outputChannel.append(data)));
+            packageProvider.refresh();
+            vscode.window.showInformationMessage(`Restored ${comparison.toInstall.length} packages from ${snapshot.LOCKFILE}`);
         } catch (error) {
-            log(`Failed to clean packages: ${error.message}`, true);
-            log(`Full error: ${error.stack}`);
-            vscode.window.showErrorMessage(`Failed to clean packages: ${error.message}`);
+            packageProvider.refresh();
+            log(`Failed to restore the environment: ${error.message}`, true);
         }
     });
 
-    // Command to setup RSM-MSBA container
-    let setupContainer = vscode.commands.registerCommand('rsm-vscode.setupContainer', async function () {
-        if (!(await isInContainer())) {
-            vscode.window.showErrorMessage('Please connect to the RSM container first using "RSM: Start and Attach to Container"');
+    // Command to toggle the optional services (Selenium, PostgreSQL, Redis) for the active profile
+    let configureSidecars = vscode.commands.registerCommand('rsm-vscode.configureSidecars', async function () {
+        const profile = profiles.resolveProfile(context);
+        const ids = await sidecars.pickSidecars(profile);
+        if (!ids) {
             return;
         }
+        log(`Optional services for ${profile.name}: ${ids.join(', ') || 'none'}`);
+        if (monitor.state !== 'running' && monitor.state !== 'attached') {
+            return;
+        }
+        const choice = await vscode.window.showInformationMessage(
+            'Apply the optional services now? The RSM container keeps running unless its configuration changed.',
+            'Apply Now'
+        );
+        if (choice === 'Apply Now') {
+            try {
+                const updated = profiles.resolveProfile(context);
+                override.writeOverride(updated);
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Updating optional services...'
+                }, () => runtime.up(updated));
+                monitor.refresh();
+            } catch (error) {
+                log(`Failed to update optional services: ${error.message}`, true);
+            }
+        }
+    });
+
+    // Helper function to run a database operation with progress, logging each step
+    function withDatabaseProgress(title, task) {
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title
+        }, progress => task(message => {
+            log(message);
+            progress.report({ message });
+        }));
+    }
+
+    // Helper function to make sure the container is stopped before the Postgres volume is replaced
+    async function ensureContainerStopped(profile, action) {
+        if (!(await database.isRunning(profile))) {
+            return true;
+        }
+        const choice = await vscode.window.showWarningMessage(
+            `The RSM container uses the database volume. Stop the container to ${action}?` +
+                (isAttachedWindow() ? ' This window will lose its connection to the container.' : ''),
+            { modal: true },
+            'Stop Container'
+        );
+        if (choice !== 'Stop Container') {
+            return false;
+        }
+        log('Stopping the container for a database operation');
+        override.writeOverride(profile);
+        await runtime.down(profile);
+        monitor.refresh();
+        return true;
+    }
 
+    // Command to back up the Postgres databases to a timestamped archive in a host folder
+    let backupDatabase = vscode.commands.registerCommand('rsm-vscode.backupDatabase', async function () {
+        const result = await vscode.window.showOpenDialog({
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            defaultUri: vscode.Uri.file(os.homedir()),
+            openLabel: 'Save Backup Here'
+        });
+        if (!result || !result[0]) {
+            return;
+        }
         try {
-            // Create and show terminal
-            const terminal = await vscode.window.createTerminal({
-                name: 'Setup Container',
-                shellPath: '/bin/zsh'
-            });
-            
-            terminal.show();
-            
-            // Execute setup command
-            terminal.sendText('/usr/local/bin/setup');
+            const profile = profiles.resolveProfile(context);
+            const file = await withDatabaseProgress('Backing up PostgreSQL',
+                step => database.backup(profile, result[0].fsPath, step));
+            log(`Database backup written to ${file}`, true);
         } catch (error) {
-            log(`Failed to setup container: ${error.message}`, true);
-            log(`Full error: ${error.stack}`);
-            vscode.window.showErrorMessage(`Failed to setup container: ${error.message}`);
+            log(`Database backup failed: ${error.message}`, true);
         }
     });
 
+    // Command to restore the Postgres databases from a backup archive
+    let restoreDatabase = vscode.commands.registerCommand('rsm-vscode.restoreDatabase', async function () {
+        const result = await vscode.window.showOpenDialog({
+            canSelectFiles: true,
+            canSelectFolders: false,
+            canSelectMany: false,
+            defaultUri: vscode.Uri.file(os.homedir()),
+            filters: { 'Database backups': ['gz'] },
+            openLabel: 'Restore'
+        });
+        if (!result || !result[0]) {
+            return;
+        }
+        const file = result[0].fsPath;
+        try {
+            const profile = profiles.resolveProfile(context);
+            const kind = database.archiveKind(file);
+            if (kind === 'dump' && !(await database.isRunning(profile))) {
+                vscode.window.showErrorMessage(`Start the RSM container to load ${path.basename(file)}, it is a pg_dumpall backup.`);
+                return;
+            }
+            if (kind === 'volume') {
+                const choice = await vscode.window.showWarningMessage(
+                    `Replace everything in the ${database.volumeName(profile)} volume with ${path.basename(file)}?`,
+                    { modal: true },
+                    'Replace'
+                );
+                if (choice !== 'Replace' || !(await ensureContainerStopped(profile, 'restore the volume'))) {
+                    return;
+                }
+            }
+            await withDatabaseProgress('Restoring PostgreSQL', step => database.restore(profile, file, step));
+            log(`Database restored from ${file}`, true);
+        } catch (error) {
+            log(`Database restore failed: ${error.message}`, true);
+        }
+    });
+
+    // Command to delete the Postgres volume so the next start begins with the image's database
+    let resetDatabase = vscode.commands.registerCommand('rsm-vscode.resetDatabase', async function () {
+        const profile = profiles.resolveProfile(context);
+        const volume = database.volumeName(profile);
+        const typed = await vscode.window.showInputBox({
+            prompt: `This deletes all PostgreSQL data in the ${volume} volume. Type "${volume}" to confirm.`,
+            placeHolder: volume,
+            validateInput: value => value && value !== volume ? `Type "${volume}" to confirm` : undefined
+        });
+        if (typed !== volume) {
+            return;
+        }
+        try {
+            if (!(await ensureContainerStopped(profile, 'reset the database'))) {
+                return;
+            }
+            await withDatabaseProgress('Resetting PostgreSQL', step => database.reset(profile, step));
+            log(`Removed volume ${volume}. It is recreated with the image's initial database on the next start.`, true);
+        } catch (error) {
+            log(`Database reset failed: ${error.message}`, true);
+        }
+    });
+
+    // Command to follow the compose logs of the RSM container and its optional services
+    let showContainerLogs = vscode.commands.registerCommand('rsm-vscode.showContainerLogs', async function () {
+        if (!(await ensureContainerRunning())) {
+            return;
+        }
+        const profile = profiles.resolveProfile(context);
+        const options = await containerLogs.pickLogOptions(profile);
+        if (options) {
+            override.writeOverride(profile);
+            logFollower.follow(profile, options);
+        }
+    });
+
+    let stopContainerLogs = vscode.commands.registerCommand('rsm-vscode.stopContainerLogs', () => logFollower.stop());
+
+    // Command to start a Jupyter server in the container and make it available to host notebooks
+    let startJupyter = vscode.commands.registerCommand('rsm-vscode.startJupyter', async function () {
+        if (!(await startJupyterServer())) {
+            return;
+        }
+        await jupyterProvider.register();
+        jupyterProvider.refresh();
+        try {
+            const servers = (await jupyter.discoverServers(profiles.resolveProfile(context))).filter(s => s.reachable);
+            servers.forEach(s => log(`Jupyter server ${s.pid}: ${s.baseUrl} (${s.rootDir || 'no root dir'})`));
+            const server = servers.find(s => s.port === jupyter.jupyterTool().port) || servers[0];
+            if (!server) {
+                log('Jupyter is running but no runtime file was found in $JUPYTER_RUNTIME_DIR', true);
+                return;
+            }
+            const choice = await vscode.window.showInformationMessage(
+                `Jupyter is running at ${server.baseUrl}. In a notebook, use "Select Kernel" > "Select Another Kernel..." > "RSM Container" to pick a container kernel.`,
+                'Copy Server URL'
+            );
+            if (choice === 'Copy Server URL') {
+                await vscode.env.clipboard.writeText(server.token ? `${server.baseUrl}?token=${server.token}` : server.baseUrl);
+            }
+        } catch (error) {
+            log(`Could not list Jupyter servers: ${error.message}`, true);
+        }
+    });
+
+    let refreshPackages = vscode.commands.registerCommand('rsm-vscode.refreshPackages', () => packageProvider.refresh());
+
+    // Command to setup RSM-MSBA container
+    let setupContainer = vscode.commands.registerCommand('rsm-vscode.setupContainer', () => runScriptTask('setup'));
+
     // Debug command to check environment
     let debugEnv = vscode.commands.registerCommand('rsm-vscode.debugEnv', async function () {
         const envInfo = {
@@ -427,7 +1132,11 @@ function activate(context) {
             shell: vscode.env.shell,
             uiKind: vscode.env.uiKind,
             appHost: vscode.env.appHost,
-            isContainer: await isInContainer()
+            isContainer: await isInContainer(),
+            runtime: await runtime.detect(true).then(
+                r => `${r.label} (${r.engine} ${r.engineVersion}, compose ${r.composeVersion})`,
+                error => error.message
+            )
         };
         
         // Show in output channel
@@ -435,7 +1144,7 @@ function activate(context) {
         log(JSON.stringify(envInfo, null, 2));
         
         // Show popup with key info
-        const message = `Remote name: ${envInfo.remoteName}\nIn container: ${envInfo.isContainer}`;
+        const message = `Remote name: ${envInfo.remoteName}\nIn container: ${envInfo.isContainer}\nRuntime: ${envInfo.runtime}`;
         vscode.window.showInformationMessage(message, 'Show Full Log').then(selection => {
             if (selection === 'Show Full Log') {
                 outputChannel.show();
@@ -443,6 +1152,121 @@ function activate(context) {
         });
     });
 
+    // Helper function to open a project folder in the container through its workspace file,
+    // creating or updating the workspace and devcontainer files as needed
+    async function switchWorkspace(localPath, containerPath, mountAdded = false) {
+        const folderName = path.basename(localPath);
+
+        // Store the new workspace
+        log(`Updating workspace to: ${containerPath}`);
+        await rememberWorkspace(containerPath);
+
+        if (ssh.attachMode() === 'ssh') {
+            // Remote-SSH opens container folders directly, without workspace or devcontainer files
+            if (mountAdded) {
+                // The recreated container needs sshd and the key again, which ssh.attach sets up
+                const profile = profiles.resolveProfile(context);
+                if (await applyNewMount(profile)) {
+                    log(`Opening ${containerPath} over SSH`);
+                    try {
+                        await ssh.attach(profile, containerPath, log);
+                    } catch (error) {
+                        log(`Failed to attach over SSH: ${error.message}`, true);
+                    }
+                }
+                return;
+            }
+            log(`Opening ${containerPath} over SSH`);
+            await ssh.openFolder(containerPath, { forceReuseWindow: true });
+            return;
+        }
+        
+        try {
+            // Check for existing workspace files
+            const ourWorkspaceFile = path.join(localPath, `${folderName}.code-workspace`);
+            const existingWorkspaceFiles = fs.readdirSync(localPath)
+                .filter(f => f.endsWith('.code-workspace'))
+                .map(f => path.join(localPath, f));
+
+            let workspaceToUse = null;
+            let needCreateOurs = true;
+
+            // Check if our workspace file exists
+            if (existingWorkspaceFiles.includes(ourWorkspaceFile)) {
+                // Read it to verify it's ours
+                const content = JSON.parse(fs.readFileSync(ourWorkspaceFile, 'utf8'));
+                if (content.metadata?.rsmExtension === true) {
+                    workspaceToUse = ourWorkspaceFile;
+                    needCreateOurs = false;
+                    log('Found our workspace file, using it directly');
+                }
+            }
+
+            // If we don't have our file but others exist
+            if (!workspaceToUse && existingWorkspaceFiles.length > 0) {
+                const useExisting = await vscode.window.showQuickPick(
+                    ['Create new workspace file', 'Use existing workspace file'],
+                    {
+                        placeHolder: 'Found existing workspace file(s). What would you like to do?'
+                    }
+                );
+
+                if (useExisting === 'Use existing workspace file') {
+                    // If multiple workspace files exist, let user pick
+                    if (existingWorkspaceFiles.length === 1) {
+                        workspaceToUse = existingWorkspaceFiles[0];
+                    } else {
+                        const selected = await vscode.window.showQuickPick(
+                            existingWorkspaceFiles.map(f => path.basename(f)),
+                            { placeHolder: 'Select workspace file to use' }
+                        );
+                        if (selected) {
+                            workspaceToUse = path.join(localPath, selected);
+                        }
+                    }
+                    needCreateOurs = false;
+                }
+            }
+
+            if (needCreateOurs) {
+                const profile = profiles.resolveProfile(context);
+
+                // Create or update .devcontainer.json and our workspace file in the target folder
+                const devcontainerPath = path.join(localPath, '.devcontainer.json');
+                const updated = await devcontainer.writeDevcontainer(devcontainerPath, profile, containerPath, globalState, { shutdownAction: 'none' }) &&
+                    await devcontainer.writeWorkspace(ourWorkspaceFile, globalState);
+                if (!updated) {
+                    log('Workspace change cancelled: configuration update skipped');
+                    return;
+                }
+
+                log(`Wrote workspace file: ${ourWorkspaceFile}`);
+                log(`Wrote devcontainer file: ${devcontainerPath}`);
+
+                workspaceToUse = ourWorkspaceFile;
+            }
+
+            if (workspaceToUse) {
+                // Dev Containers recreates the container when the compose files changed, e.g. for a new bind mount
+                override.writeOverride(profiles.resolveProfile(context));
+
+                // Open the workspace file directly in container
+                await vscode.commands.executeCommand(
+                    'remote-containers.openWorkspace',
+                    vscode.Uri.file(workspaceToUse)
+                );
+
+                log(`Workspace changed to: ${containerPath}`);
+            } else {
+                log('No workspace file selected or created');
+                vscode.window.showErrorMessage('Workspace change cancelled: No workspace file selected or created');
+            }
+        } catch (error) {
+            log(`Error during workspace change: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to change workspace: ${error.message}`);
+        }
+    }
+
     // Add command to change workspace folder with enhanced feedback
     let changeWorkspace = vscode.commands.registerCommand('rsm-vscode.changeWorkspace', async function () {
         if (!(await isInContainer())) {
@@ -455,8 +1279,7 @@ function activate(context) {
         if (currentFolder) {
             const currentPath = currentFolder.uri.fsPath;
             // Convert container path to local path if needed
-            const currentLocalPath = currentPath.includes('/home/jovyan') ?
-                currentPath.replace('/home/jovyan', os.homedir()) : currentPath;
+            const currentLocalPath = getPathMapper().toHost(currentFolder.uri.path) || currentPath;
             const currentFolderName = path.basename(currentLocalPath);
 
             try {
@@ -474,57 +1297,18 @@ function activate(context) {
 
                     if (createFiles === 'Yes') {
                         try {
-                            const isArm = os.arch() === 'arm64';
-                            const composeFileName = isArm ? 'docker-compose-k8s-arm.yml' : 'docker-compose-k8s-intel.yml';
-
-                            // Create .devcontainer.json
-                            const devcontainerContent = {
-                                "name": isArm ? "rsm-msba-arm" : "rsm-msba-intel",
-                                "dockerComposeFile": [
-                                    path.join(context.extensionPath, 'docker-compose', composeFileName)
-                                ],
-                                "service": "rsm-msba",
-                                "workspaceFolder": currentPath,
-                                "remoteUser": "jovyan",
-                                "overrideCommand": false,
-                                "remoteWorkspaceFolder": currentPath,
-                                "shutdownAction": "none",
-                                "customizations": {
-                                    "vscode": {
-                                        "extensions": [
-                                            "ms-vscode-remote.remote-containers"
-                                        ]
-                                    }
-                                }
-                            };
-
-                            // Create workspace file with metadata
-                            const workspaceContent = {
-                                "folders": [
-                                    {
-                                        "path": "."
-                                    }
-                                ],
-                                "settings": {
-                                    "remote.containers.defaultExtensions": [
-                                        "ms-vscode-remote.remote-containers"
-                                    ]
-                                },
-                                "metadata": {
-                                    "rsmExtension": true,
-                                    "created": new Date().toISOString()
-                                }
-                            };
-
-                            // Write both files using local path
+                            const profile = profiles.resolveProfile(context);
+                            override.writeOverride(profile);
+
+                            // Create or update .devcontainer.json and the workspace file using local path
                             const devcontainerPath = path.join(currentLocalPath, '.devcontainer.json');
                             const workspaceFile = path.join(currentLocalPath, `${currentFolderName}.code-workspace`);
 
-                            fs.writeFileSync(devcontainerPath, JSON.stringify(devcontainerContent, null, 2));
-                            fs.writeFileSync(workspaceFile, JSON.stringify(workspaceContent, null, 2));
+                            await devcontainer.writeDevcontainer(devcontainerPath, profile, currentPath, globalState, { shutdownAction: 'none' });
+                            await devcontainer.writeWorkspace(workspaceFile, globalState);
 
-                            log(`Created workspace file in current folder: ${workspaceFile}`);
-                            log(`Created devcontainer file in current folder: ${devcontainerPath}`);
+                            log(`Wrote workspace file in current folder: ${workspaceFile}`);
+                            log(`Wrote devcontainer file in current folder: ${devcontainerPath}`);
                         } catch (error) {
                             log(`Error creating workspace files in current folder: ${error.message}`);
                         }
@@ -538,184 +1322,240 @@ function activate(context) {
         const oldWorkspace = globalState.get('lastWorkspaceFolder');
         log(`Current workspace is: ${oldWorkspace || 'none'}`);
 
-        const options = {
-            canSelectFiles: false,
-            canSelectFolders: true,
-            canSelectMany: false,
-            defaultUri: vscode.Uri.file(os.homedir()),
-            openLabel: 'Select Project Folder'
-        };
-
-        const result = await vscode.window.showOpenDialog(options);
-        if (result && result[0]) {
-            const localPath = result[0].fsPath;
-            const containerPath = localPath.replace(os.homedir(), '/home/jovyan');
-            const folderName = path.basename(localPath);
-            
-            // Store the new workspace
-            log(`Updating workspace to: ${containerPath}`);
-            await globalState.update('lastWorkspaceFolder', containerPath);
-            
-            try {
-                // Check for existing workspace files
-                const ourWorkspaceFile = path.join(localPath, `${folderName}.code-workspace`);
-                const existingWorkspaceFiles = fs.readdirSync(localPath)
-                    .filter(f => f.endsWith('.code-workspace'))
-                    .map(f => path.join(localPath, f));
-
-                let workspaceToUse = null;
-                let needCreateOurs = true;
-
-                // Check if our workspace file exists
-                if (existingWorkspaceFiles.includes(ourWorkspaceFile)) {
-                    // Read it to verify it's ours
-                    const content = JSON.parse(fs.readFileSync(ourWorkspaceFile, 'utf8'));
-                    if (content.metadata?.rsmExtension === true) {
-                        workspaceToUse = ourWorkspaceFile;
-                        needCreateOurs = false;
-                        log('Found our workspace file, using it directly');
-                    }
-                }
-
-                // If we don't have our file but others exist
-                if (!workspaceToUse && existingWorkspaceFiles.length > 0) {
-                    const useExisting = await vscode.window.showQuickPick(
-                        ['Create new workspace file', 'Use existing workspace file'],
-                        {
-                            placeHolder: 'Found existing workspace file(s). What would you like to do?'
-                        }
-                    );
+        const choice = await chooseProjectFolder();
+        if (choice) {
+            await switchWorkspace(choice.localPath, choice.containerPath, choice.mountAdded);
+        }
+    });
 
-                    if (useExisting === 'Use existing workspace file') {
-                        // If multiple workspace files exist, let user pick
-                        if (existingWorkspaceFiles.length === 1) {
-                            workspaceToUse = existingWorkspaceFiles[0];
-                        } else {
-                            const selected = await vscode.window.showQuickPick(
-                                existingWorkspaceFiles.map(f => path.basename(f)),
-                                { placeHolder: 'Select workspace file to use' }
-                            );
-                            if (selected) {
-                                workspaceToUse = path.join(localPath, selected);
-                            }
-                        }
-                        needCreateOurs = false;
-                    }
-                }
+    // Command to open a project from the recent projects list, starting the container if needed
+    let openRecentProject = vscode.commands.registerCommand('rsm-vscode.openRecentProject', async function () {
+        if (await isInContainer()) {
+            const choice = await chooseProjectFolder();
+            if (choice) {
+                await switchWorkspace(choice.localPath, choice.containerPath, choice.mountAdded);
+            }
+            return;
+        }
 
-                if (needCreateOurs) {
-                    // Create .devcontainer.json in the target folder
-                    const isArm = os.arch() === 'arm64';
-                    const composeFileName = isArm ? 'docker-compose-k8s-arm.yml' : 'docker-compose-k8s-intel.yml';
-                    const devcontainerContent = {
-                        "name": isArm ? "rsm-msba-arm" : "rsm-msba-intel",
-                        "dockerComposeFile": [
-                            path.join(context.extensionPath, 'docker-compose', composeFileName)
-                        ],
-                        "service": "rsm-msba",
-                        "workspaceFolder": containerPath,
-                        "remoteUser": "jovyan",
-                        "overrideCommand": false,
-                        "remoteWorkspaceFolder": containerPath,
-                        "shutdownAction": "none",
-                        "customizations": {
-                            "vscode": {
-                                "extensions": [
-                                    "ms-vscode-remote.remote-containers"
-                                ]
-                            }
-                        }
-                    };
-
-                    // Create our workspace file with metadata
-                    const workspaceContent = {
-                        "folders": [
-                            {
-                                "path": "."
-                            }
-                        ],
-                        "settings": {
-                            "remote.containers.defaultExtensions": [
-                                "ms-vscode-remote.remote-containers"
-                            ]
-                        },
-                        "metadata": {
-                            "rsmExtension": true,
-                            "created": new Date().toISOString()
-                        }
-                    };
+        if (recent.getRecent(globalState).length === 0) {
+            vscode.window.showInformationMessage('No recent projects yet. Start the RSM container to pick a project folder.');
+            return;
+        }
+        const mapper = getPathMapper();
+        const picked = await recent.pickRecentProject(globalState, containerPath => mapper.toHost(containerPath));
+        if (!picked) {
+            return;
+        }
+        if (picked.browse) {
+            // No stored workspace makes startContainer show the folder dialog
+            await globalState.update('lastWorkspaceFolder', undefined);
+        } else {
+            await rememberWorkspace(picked.containerPath);
+        }
+        await vscode.commands.executeCommand('rsm-vscode.startContainer');
+    });
 
-                    // Write both files
-                    const devcontainerPath = path.join(localPath, '.devcontainer.json');
-                    fs.writeFileSync(devcontainerPath, JSON.stringify(devcontainerContent, null, 2));
-                    fs.writeFileSync(ourWorkspaceFile, JSON.stringify(workspaceContent, null, 2));
+    // Command to create a project from a template in a mounted folder and open it in the container
+    let newProject = vscode.commands.registerCommand('rsm-vscode.newProject', async function () {
+        try {
+            const profile = profiles.resolveProfile(context);
+            const template = await templates.pickTemplate(context.globalStorageUri.fsPath, log);
+            if (!template) {
+                return;
+            }
+            const name = await vscode.window.showInputBox({
+                prompt: `Name of the new ${template.label.toLowerCase()} project`,
+                validateInput: value => /^[A-Za-z0-9][\w.-]*$/.test(value) ? undefined : 'Use letters, digits, ".", "_" and "-"'
+            });
+            if (!name) {
+                return;
+            }
 
-                    log(`Created workspace file: ${ourWorkspaceFile}`);
-                    log(`Created devcontainer file: ${devcontainerPath}`);
+            // Suggest the folder that holds the last project
+            const lastWorkspace = globalState.get('lastWorkspaceFolder');
+            const lastLocal = lastWorkspace && getPathMapper(profile).toHost(lastWorkspace);
+            const picked = await vscode.window.showOpenDialog({
+                canSelectFiles: false,
+                canSelectFolders: true,
+                canSelectMany: false,
+                defaultUri: vscode.Uri.file(lastLocal ? path.dirname(lastLocal) : os.homedir()),
+                openLabel: 'Create Project Here'
+            });
+            if (!picked) {
+                return;
+            }
+            // The project has to live under a folder the container mounts
+            const mapped = await mapHostFolder(picked[0].fsPath);
+            if (!mapped) {
+                return;
+            }
 
-                    workspaceToUse = ourWorkspaceFile;
-                }
+            const localPath = templates.createProject(template, picked[0].fsPath, name);
+            const containerPath = path.posix.join(mapped.containerPath, name);
+            log(`Created ${template.label} project in ${localPath} (${containerPath} in the container)`);
 
-                if (workspaceToUse) {
-                    // Open the workspace file directly in container
-                    await vscode.commands.executeCommand(
-                        'remote-containers.openWorkspace',
-                        vscode.Uri.file(workspaceToUse)
-                    );
+            const options = { extensions: template.extensions, settings: template.settings };
+            const written = await devcontainer.writeDevcontainer(path.join(localPath, '.devcontainer.json'), profile, containerPath, globalState, { shutdownAction: 'none', ...options }) &&
+                await devcontainer.writeWorkspace(path.join(localPath, `${name}.code-workspace`), globalState, options);
+            if (!written) {
+                log(`Created ${localPath} but did not open it: configuration update skipped`);
+                return;
+            }
 
-                    log(`Workspace changed to: ${containerPath}`);
-                } else {
-                    log('No workspace file selected or created');
-                    vscode.window.showErrorMessage('Workspace change cancelled: No workspace file selected or created');
-                }
-            } catch (error) {
-                log(`Error during workspace change: ${error.message}`);
-                vscode.window.showErrorMessage(`Failed to change workspace: ${error.message}`);
+            await monitor.refresh();
+            if (ssh.attachMode() === 'ssh' && monitor.state !== 'running' && monitor.state !== 'attached') {
+                // Remote-SSH needs the container up; startContainer attaches to the stored workspace
+                await rememberWorkspace(containerPath);
+                await vscode.commands.executeCommand('rsm-vscode.startContainer');
+                return;
             }
+            // Dev Containers starts the services from the new .devcontainer.json when needed
+            await switchWorkspace(localPath, containerPath, mapped.mountAdded);
+        } catch (error) {
+            log(`Failed to create project: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
         }
     });
 
     // Debug command to check container status
     let debugContainer = vscode.commands.registerCommand('rsm-vscode.debugContainer', async function () {
-        const terminal = await vscode.window.createTerminal({
-            name: 'RSM Debug',
-            shellPath: '/bin/zsh'
-        });
-        
         const containerChecks = {
             radiantExists: false,
             jovyanUser: false,
             jovyanHome: false,
             remoteName: vscode.env.remoteName,
             pwd: '',
-            whoami: ''
+            whoami: '',
+            shell: ''
         };
 
         try {
-            terminal.sendText('test -f /usr/local/bin/radiant && echo "true" || echo "false"');
-            terminal.sendText('id jovyan > /dev/null 2>&1 && echo "true" || echo "false"');
-            terminal.sendText('test -d /home/jovyan && echo "true" || echo "false"');
-            terminal.sendText('pwd');
-            terminal.sendText('whoami');
-            terminal.sendText('echo $SHELL');
-            
-            // Show the terminal for debugging
-            terminal.show();
-            
+            const tests = {
+                radiantExists: 'test -f /usr/local/bin/radiant',
+                jovyanUser: 'id jovyan',
+                jovyanHome: 'test -d /home/jovyan'
+            };
+            for (const [key, command] of Object.entries(tests)) {
+                const result = await execInContainer(command);
+                if (result.code !== 0 && /no such container|is not running/i.test(result.stderr)) {
+                    throw runner.resultError(result, 'docker exec');
+                }
+                containerChecks[key] = result.code === 0;
+            }
+
+            const outputs = {
+                pwd: 'pwd',
+                whoami: 'whoami',
+                shell: 'echo $SHELL'
+            };
+            for (const [key, command] of Object.entries(outputs)) {
+                const result = await execInContainer(command);
+                containerChecks[key] = result.code === 0 ? result.stdout.trim() : `error: ${result.stderr.trim()}`;
+            }
+
             log('Container Status Debug Info:');
             log(JSON.stringify(containerChecks, null, 2));
-            
-            vscode.window.showInformationMessage(
-                'Container debug information shown in terminal',
-                'Show Log'
-            ).then(selection => {
+
+            const failed = ['radiantExists', 'jovyanUser', 'jovyanHome'].filter(key => !containerChecks[key]);
+            const message = failed.length === 0 ?
+                'Container checks passed' :
+                `Container checks failed: ${failed.join(', ')}`;
+            vscode.window.showInformationMessage(message, 'Show Log').then(selection => {
                 if (selection === 'Show Log') {
                     outputChannel.show();
                 }
             });
         } catch (error) {
-            log(`Debug check failed: ${error.message}`);
-            terminal.dispose();
+            log(`Debug check failed: ${error.message}`, true);
+        }
+    });
+
+    // Command to check for a newer container image
+    let checkUpdates = vscode.commands.registerCommand('rsm-vscode.checkImageUpdates', async function () {
+        try {
+            await checkImageUpdates(true);
+        } catch (error) {
+            log(`Image update check failed: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
+        }
+    });
+
+    // Commands behind the status bar item and the RSM view
+    let showMenu = vscode.commands.registerCommand('rsm-vscode.showMenu', () => views.showMenu(monitor));
+    let showLog = vscode.commands.registerCommand('rsm-vscode.showLog', () => outputChannel.show());
+    let refreshStatus = vscode.commands.registerCommand('rsm-vscode.refreshStatus', () => monitor.refresh());
+
+    // Command to run all health checks and show a report
+    let runDoctor = vscode.commands.registerCommand('rsm-vscode.doctor', async function () {
+        try {
+            const profile = profiles.resolveProfile(context);
+            const results = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'RSM: Running health checks...'
+            }, () => doctor.runChecks(profile));
+
+            results.forEach(r => log(`Doctor: [${r.status}] ${r.title}: ${r.detail}`));
+            const document = await vscode.workspace.openTextDocument({
+                content: doctor.formatReport(profile, results),
+                language: 'markdown'
+            });
+            await vscode.commands.executeCommand('markdown.showPreview', document.uri);
+        } catch (error) {
+            log(`Doctor failed: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
+        }
+    });
+
+    // Command to compare git on the host and in the container, test authentication and apply fixes
+    let checkGitSetup = vscode.commands.registerCommand('rsm-vscode.checkGitSetup', async function () {
+        if (!(await ensureContainerRunning())) {
+            return;
+        }
+        try {
+            const profile = profiles.resolveProfile(context);
+            const results = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'RSM: Checking git setup...'
+            }, () => gitSetup.runChecks(profile));
+
+            results.forEach(r => log(`Git setup: [${r.status}] ${r.title}: ${r.detail}`));
+            const document = await vscode.workspace.openTextDocument({
+                content: doctor.formatReport(profile, results, 'RSM Git Setup'),
+                language: 'markdown'
+            });
+            await vscode.commands.executeCommand('markdown.showPreview', document.uri);
+
+            const fixes = results.filter(r => r.status !== 'pass' && r.apply);
+            if (fixes.length === 0) {
+                return;
+            }
+            const selected = await vscode.window.showQuickPick(
+                fixes.map(r => ({ label: r.apply.label, description: r.title, picked: true, result: r })),
+                { canPickMany: true, placeHolder: 'Fixes to apply' }
+            );
+            for (const item of selected || []) {
+                try {
+                    await item.result.apply.run();
+                    log(`Git setup: applied "${item.label}"`);
+                } catch (error) {
+                    log(`Git setup: "${item.label}" failed: ${error.message}`, true);
+                }
+            }
+            if (selected?.length > 0) {
+                vscode.window.showInformationMessage('Fixes applied. Run "RSM: Check Git Setup" again to verify.');
+            }
+        } catch (error) {
+            log(`Git setup check failed: ${error.message}`, true);
+            log(`Full error: ${error.stack}`);
+        }
+    });
+
+    // Command to switch between container profiles
+    let selectProfile = vscode.commands.registerCommand('rsm-vscode.selectProfile', async function () {
+        const name = await profiles.pickProfile();
+        if (name) {
+            log(`Container profile set to: ${name}`, true);
         }
     });
 
@@ -723,28 +1563,41 @@ function activate(context) {
     context.subscriptions.push(stopContainer);
     context.subscriptions.push(startRadiant);
     context.subscriptions.push(startGitGadget);
+    context.subscriptions.push(startTool);
+    context.subscriptions.push(stopTool);
+    context.subscriptions.push(restartTool);
     context.subscriptions.push(cleanPackages);
+    context.subscriptions.push(uninstallPackage);
+    context.subscriptions.push(refreshPackages);
+    context.subscriptions.push(snapshotEnvironment);
+    context.subscriptions.push(restoreEnvironment);
+    context.subscriptions.push(configureSidecars);
+    context.subscriptions.push(backupDatabase);
+    context.subscriptions.push(restoreDatabase);
+    context.subscriptions.push(resetDatabase);
+    context.subscriptions.push(showContainerLogs);
+    context.subscriptions.push(stopContainerLogs);
+    context.subscriptions.push(startJupyter);
     context.subscriptions.push(setupContainer);
     context.subscriptions.push(debugEnv);
     context.subscriptions.push(changeWorkspace);
+    context.subscriptions.push(openRecentProject);
+    context.subscriptions.push(newProject);
     context.subscriptions.push(debugContainer);
+    context.subscriptions.push(selectProfile);
+    context.subscriptions.push(checkUpdates);
+    context.subscriptions.push(showMenu);
+    context.subscriptions.push(showLog);
+    context.subscriptions.push(refreshStatus);
+    context.subscriptions.push(runDoctor);
+    context.subscriptions.push(checkGitSetup);
+    context.subscriptions.push(devcontainer.registerPreviewProvider());
 }
 
-// Helper function to promisify exec
-function execPromise(command) {
-    return new Promise((resolve, reject) => {
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                reject(error);
-            } else {
-                resolve(stdout.toString());
-            }
-        });
-    });
+function deactivate() {
+    return autoStop?.deactivate();
 }
 
-function deactivate() {}
-
 module.exports = {
     activate,
     deactivate
@@ -0,0 +1,224 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const runtime = require('./runtime');
+const compose = require('./compose');
+const override = require('./override');
+const { getTools } = require('./tools');
+const sessions = require('./sessions');
+const jupyter = require('./jupyter');
+const { isAttachedWindow } = require('./container');
+
+// Time a closed window's replacement gets to show up (reloads and folder switches close the
+// extension host too) before "on last window close" stops the container
+const CLOSE_GRACE_MS = 20000;
+
+const WATCHER_FILE = 'autostop.json';
+
+// Tools that keep the container in use: the managed tools and the Jupyter server that host
+// notebooks use for container kernels
+function busyTools() {
+    const jupyterTool = jupyter.jupyterTool();
+    return [...getTools().filter(tool => tool.id !== jupyterTool.id), jupyterTool];
+}
+
+function policy() {
+    const config = vscode.workspace.getConfiguration('rsm-vscode');
+    return {
+        mode: config.get('autoStop') || 'never',
+        idleMs: Math.max(1, config.get('autoStopIdleMinutes') || 30) * 60000
+    };
+}
+
+// This window's heartbeat file in the extension's global storage, which all windows share:
+// <storage>/sessions/<id>.json
+class SessionTracker {
+    constructor(storageDir, getContainerName) {
+        this.dir = path.join(storageDir, 'sessions');
+        this.getContainerName = getContainerName;
+        this.id = `${Date.now().toString(36)}-${process.pid}`;
+        this.file = path.join(this.dir, `${this.id}.json`);
+        this.attached = isAttachedWindow();
+    }
+
+    write() {
+        let container;
+        try {
+            container = this.getContainerName();
+        } catch (error) {
+            container = undefined;
+        }
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({
+            id: this.id,
+            pid: process.pid,
+            attached: this.attached,
+            container,
+            updated: Date.now()
+        }));
+    }
+
+    // Live sessions, including this one
+    list() {
+        return sessions.listSessions(this.dir);
+    }
+
+    remove() {
+        fs.rmSync(this.file, { force: true });
+    }
+}
+
+// Stops the RSM container according to the rsm-vscode.autoStop policy:
+//   never            - leave it running
+//   lastWindowClosed - stop it when the last window attached to it closes
+//   idle             - stop it after rsm-vscode.autoStopIdleMinutes without an attached
+//                      window, a running managed tool or a Jupyter server
+// While windows are open the oldest one checks for idleness. When the last window closes a
+// detached watcher process (idlewatch.js) takes over until a window opens again.
+class AutoStop {
+    constructor(context, monitor, getProfile, log) {
+        this.storageDir = context.globalStorageUri.fsPath;
+        this.monitor = monitor;
+        this.getProfile = getProfile;
+        this.log = log;
+        this.sessions = new SessionTracker(this.storageDir, () => compose.containerName(getProfile()));
+        this.idleSince = undefined;
+        this.stopping = false;
+        this.timer = undefined;
+    }
+
+    start() {
+        // A window is open again, so a pending watcher has nothing left to do
+        fs.rmSync(path.join(this.storageDir, WATCHER_FILE), { force: true });
+        this.tick();
+        this.timer = setInterval(() => this.tick(), sessions.HEARTBEAT_MS);
+    }
+
+    tick() {
+        try {
+            this.sessions.write();
+        } catch (error) {
+            this.log(`Could not write the window heartbeat: ${error.message}`);
+            return;
+        }
+        const { mode, idleMs } = policy();
+        const running = this.monitor.state === 'running' || this.monitor.state === 'attached';
+        if (mode !== 'idle' || !running) {
+            this.idleSince = undefined;
+            return;
+        }
+
+        const open = this.sessions.list();
+        // Only the oldest open window enforces the policy
+        const leader = open.map(session => session.id).sort()[0];
+        if (leader !== this.sessions.id) {
+            this.idleSince = undefined;
+            return;
+        }
+
+        const container = compose.containerName(this.getProfile());
+        // The monitor reports a Jupyter server that is not a managed tool without an id
+        const jupyterPort = jupyter.jupyterTool().port;
+        const busy = sessions.attachedTo(open, container).length > 0 ||
+            this.monitor.tools.some(tool => tool.id || tool.port === jupyterPort);
+        if (busy) {
+            this.idleSince = undefined;
+        } else if (!this.idleSince) {
+            this.idleSince = Date.now();
+        } else if (Date.now() - this.idleSince >= idleMs) {
+            this.stopContainer(`idle for ${Math.round(idleMs / 60000)} min`);
+        }
+    }
+
+    async stopContainer(reason) {
+        if (this.stopping) {
+            return;
+        }
+        this.stopping = true;
+        try {
+            const profile = this.getProfile();
+            this.log(`Auto-stop: stopping the RSM container (${reason})`);
+            override.writeOverride(profile);
+            await runtime.down(profile);
+            this.monitor.refresh();
+            vscode.window.showInformationMessage(`Stopped the RSM container: ${reason}. Change this with the rsm-vscode.autoStop setting.`);
+        } catch (error) {
+            this.log(`Auto-stop failed: ${error.message}`, true);
+        } finally {
+            this.idleSince = undefined;
+            this.stopping = false;
+        }
+    }
+
+    // Called from deactivate. Hands the container over to a detached watcher when the
+    // policy may need to stop it after this window is gone.
+    async deactivate() {
+        clearInterval(this.timer);
+        this.sessions.remove();
+        const { mode, idleMs } = policy();
+        if (mode === 'never') {
+            return;
+        }
+        try {
+            const profile = this.getProfile();
+            const container = compose.containerName(profile);
+            const open = this.sessions.list();
+            if (mode === 'lastWindowClosed' && (!this.sessions.attached || sessions.attachedTo(open, container).length > 0)) {
+                return;
+            }
+            if (mode === 'idle' && open.length > 0) {
+                // Another window is open and keeps checking
+                return;
+            }
+            if (!(await runtime.inspect(container))?.State?.Running) {
+                return;
+            }
+            await this.spawnWatcher(profile, mode === 'idle' ? idleMs : CLOSE_GRACE_MS, mode);
+        } catch (error) {
+            this.log(`Auto-stop: could not hand over to the watcher: ${error.message}`);
+        }
+    }
+
+    async spawnWatcher(profile, delayMs, mode) {
+        const detected = await runtime.detect();
+        override.writeOverride(profile);
+        const file = path.join(this.storageDir, WATCHER_FILE);
+        // The newest watcher owns the file; older ones see another token and exit
+        const token = `${Date.now().toString(36)}-${process.pid}`;
+        fs.writeFileSync(file, JSON.stringify({
+            token,
+            mode,
+            delayMs,
+            heartbeatMs: sessions.HEARTBEAT_MS,
+            sessionsDir: this.sessions.dir,
+            container: compose.containerName(profile),
+            user: profile.remoteUser,
+            engine: detected.engine,
+            compose: {
+                command: detected.compose[0],
+                args: [...detected.compose.slice(1), ...profile.composeFiles.flatMap(f => ['-f', f]), 'down'],
+                cwd: path.dirname(profile.composeFile)
+            },
+            toolPatterns: busyTools().map(tool => tool.pattern),
+            logFile: path.join(this.storageDir, 'autostop.log')
+        }, null, 2));
+        // Run the watcher with VS Code's own runtime in node mode so it outlives the window
+        const child = spawn(process.execPath, [path.join(__dirname, 'idlewatch.js'), file, token], {
+            detached: true,
+            stdio: 'ignore',
+            env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
+        });
+        child.unref();
+        this.log(`Auto-stop: watcher ${child.pid} will stop the container unless a window attaches (${mode})`);
+    }
+
+    dispose() {
+        clearInterval(this.timer);
+    }
+}
+
+module.exports = {
+    SessionTracker,
+    AutoStop
+};
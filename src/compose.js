@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Value tagged with !override (replace instead of merge) or !reset (remove) in a compose file
+class ComposeTag {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+function tagTypes(tag) {
+    /** @type {Array<'sequence' | 'mapping' | 'scalar'>} */
+    const kinds = ['sequence', 'mapping', 'scalar'];
+    return kinds.map(kind => new yaml.Type(tag, {
+        kind,
+        construct: data => new ComposeTag(tag, data),
+        predicate: value => value instanceof ComposeTag && value.tag === tag,
+        represent: value => /** @type {ComposeTag} */ (value).value
+    }));
+}
+
+// YAML schema that understands the compose merge tags
+const COMPOSE_SCHEMA = yaml.DEFAULT_SCHEMA.extend([...tagTypes('!override'), ...tagTypes('!reset')]);
+
+function override(value) {
+    return new ComposeTag('!override', value);
+}
+
+function loadFile(file) {
+    /** @type {Record<string, any>} */
+    const doc = yaml.load(fs.readFileSync(file, 'utf8'), { schema: COMPOSE_SCHEMA });
+    return doc || {};
+}
+
+function dump(doc) {
+    return yaml.dump(doc, { schema: COMPOSE_SCHEMA });
+}
+
+// Merge a service definition across compose files the way docker-compose does:
+// later files override scalars and maps, list entries are appended.
+function loadService(composeFiles, service) {
+    const merged = {};
+    for (const file of composeFiles) {
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+        const config = loadFile(file).services?.[service];
+        if (!config) {
+            continue;
+        }
+        for (const [key, value] of Object.entries(config)) {
+            if (value instanceof ComposeTag) {
+                if (value.tag === '!reset') {
+                    delete merged[key];
+                } else {
+                    merged[key] = value.value;
+                }
+            } else if (Array.isArray(value) && Array.isArray(merged[key])) {
+                merged[key] = merged[key].concat(value);
+            } else if (value && typeof value === 'object' && !Array.isArray(value) && merged[key]) {
+                merged[key] = { ...merged[key], ...value };
+            } else {
+                merged[key] = value;
+            }
+        }
+    }
+    return merged;
+}
+
+// Container name for a service (by default the profile's), from container_name or the compose default
+function containerName(profile, service = profile.service) {
+    const config = loadService(profile.composeFiles, service);
+    if (config.container_name) {
+        return config.container_name;
+    }
+    // Compose names the project after the directory holding the first compose file
+    const project = path.basename(path.dirname(profile.composeFile)).toLowerCase().replace(/[^a-z0-9_-]/g, '');
+    return `${project}-${service}-1`;
+}
+
+module.exports = {
+    override,
+    loadFile,
+    dump,
+    loadService,
+    containerName
+};
@@ -0,0 +1,196 @@
+const vscode = require('vscode');
+const runtime = require('./runtime');
+const { getTools } = require('./tools');
+const { SSH_HOST } = require('./ssh');
+
+// Other tools we recognise in the container's process list, besides the managed tools.
+// Only managed tools carry an id.
+const KNOWN_TOOLS = [
+    { label: 'Jupyter', pattern: /jupyter-(lab|server|notebook)/i, port: 8765 },
+    { label: 'SSH server', pattern: /sshd/, port: 22 },
+    { label: 'PostgreSQL', pattern: /postgres(ql)?\b.*-D/i }
+];
+
+function detectableTools() {
+    const managed = getTools().map(tool => ({
+        id: tool.id,
+        label: tool.label,
+        pattern: new RegExp(tool.pattern, 'i'),
+        port: tool.port
+    }));
+    return [...managed, ...KNOWN_TOOLS.filter(known => !managed.some(tool => tool.port === known.port))];
+}
+
+// True when this window is connected to the RSM container, through Dev Containers or
+// the managed SSH host
+function isAttachedWindow() {
+    return vscode.env.remoteName === 'dev-container' ||
+        (vscode.env.remoteName === 'ssh-remote' && vscode.workspace.workspaceFolders?.[0]?.uri.authority === `ssh-remote+${SSH_HOST}`);
+}
+
+// Parse `docker top` output into a list of command lines
+function parseTop(output) {
+    const lines = output.trim().split(/\r?\n/);
+    const header = lines.shift() || '';
+    const cmdColumn = header.search(/\b(CMD|COMMAND)\b/);
+    return lines.map(line => cmdColumn >= 0 ? line.slice(cmdColumn).trim() : line.trim());
+}
+
+// Polls the runtime's inspect for the RSM container and fires onDidChange when its state changes.
+// States: 'unknown', 'stopped', 'starting', 'running' and 'attached'.
+// getSidecars returns the enabled sidecars ({ id, label, containerName, url }) to track as well.
+class ContainerMonitor {
+    constructor(getContainerName, log, getSidecars = () => []) {
+        this.getContainerName = getContainerName;
+        this.getSidecars = getSidecars;
+        this.log = log;
+        this.sidecars = [];
+        this.state = 'unknown';
+        this.info = undefined;
+        this.tools = [];
+        this.starting = false;
+        this.error = undefined;
+        this.polling = false;
+        this.timer = undefined;
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChange = this.emitter.event;
+    }
+
+    start(intervalSeconds) {
+        this.stop();
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), Math.max(1, intervalSeconds) * 1000);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+    }
+
+    // Show the container as starting until inspect reports it running (or the start fails)
+    setStarting(starting) {
+        this.starting = starting;
+        this.refresh();
+    }
+
+    async refresh() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        try {
+            let info;
+            let tools = [];
+            let error;
+            let name;
+            try {
+                // A missing container is simply stopped; anything else is worth reporting
+                name = this.getContainerName();
+                info = await runtime.inspect(name);
+            } catch (err) {
+                error = err.message;
+            }
+
+            if (info?.State?.Running) {
+                try {
+                    const processes = parseTop(await runtime.top(name));
+                    tools = detectableTools().filter(tool => processes.some(p => tool.pattern.test(p)));
+                } catch (err) {
+                    this.log(`Could not list container processes: ${err.message}`);
+                }
+            }
+
+            const sidecars = await this.inspectSidecars();
+
+            const state = this.computeState(info);
+            const changed = state !== this.state ||
+                JSON.stringify(sidecars) !== JSON.stringify(this.sidecars) ||
+                JSON.stringify(info?.State) !== JSON.stringify(this.info?.State) ||
+                tools.map(t => t.label).join() !== this.tools.map(t => t.label).join() ||
+                error !== this.error;
+
+            this.info = info;
+            this.tools = tools;
+            this.sidecars = sidecars;
+            this.error = error;
+            if (state !== this.state) {
+                this.log(`Container state: ${this.state} -> ${state}`);
+            }
+            this.state = state;
+            if (changed) {
+                this.emitter.fire(this);
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    // Status ('running', 'exited', ... or 'missing') and health of each enabled sidecar
+    async inspectSidecars() {
+        let enabled;
+        try {
+            enabled = this.getSidecars();
+        } catch (err) {
+            return [];
+        }
+        return Promise.all(enabled.map(async sidecar => {
+            try {
+                const info = await runtime.inspect(sidecar.containerName);
+                return { ...sidecar, status: info?.State?.Status || 'missing', health: info?.State?.Health?.Status };
+            } catch (err) {
+                return { ...sidecar, status: 'unknown' };
+            }
+        }));
+    }
+
+    computeState(info) {
+        const status = info?.State?.Status;
+        const health = info?.State?.Health?.Status;
+        if (status === 'running' && health !== 'starting') {
+            this.starting = false;
+            return isAttachedWindow() ? 'attached' : 'running';
+        }
+        if (this.starting || status === 'created' || status === 'restarting' || health === 'starting') {
+            return 'starting';
+        }
+        return 'stopped';
+    }
+
+    // Published ports as { host, container } pairs
+    getPorts() {
+        const ports = this.info?.NetworkSettings?.Ports || {};
+        const result = [];
+        for (const [containerPort, bindings] of Object.entries(ports)) {
+            for (const binding of bindings || []) {
+                result.push({
+                    host: `${binding.HostIp || '0.0.0.0'}:${binding.HostPort}`,
+                    hostPort: Number(binding.HostPort),
+                    container: containerPort
+                });
+            }
+        }
+        return result.sort((a, b) => a.hostPort - b.hostPort);
+    }
+
+    getMounts() {
+        return (this.info?.Mounts || []).map(mount => ({
+            source: mount.Type === 'volume' ? mount.Name : mount.Source,
+            target: mount.Destination,
+            type: mount.Type,
+            readOnly: mount.RW === false
+        }));
+    }
+
+    dispose() {
+        this.stop();
+        this.emitter.dispose();
+    }
+}
+
+module.exports = {
+    KNOWN_TOOLS,
+    isAttachedWindow,
+    ContainerMonitor
+};
@@ -0,0 +1,118 @@
+const path = require('path');
+const runtime = require('./runtime');
+const runner = require('./runner');
+const compose = require('./compose');
+
+// Key of the Postgres volume in the shipped compose files
+const VOLUME_KEY = 'pg_data';
+
+const DUMP_SUFFIX = '.sql.gz';
+const ARCHIVE_SUFFIX = '.tar.gz';
+
+const LONG_TIMEOUT = 30 * 60000;
+
+// Docker name of the Postgres volume, from the compose file's top-level volumes
+function volumeName(profile) {
+    const doc = compose.loadFile(profile.composeFile) || {};
+    return doc.volumes?.[VOLUME_KEY]?.name || VOLUME_KEY;
+}
+
+function timestamp() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+async function isRunning(profile) {
+    const info = await runtime.inspect(compose.containerName(profile));
+    return !!info?.State?.Running;
+}
+
+function execAsPostgres(profile, command) {
+    return runtime.exec(compose.containerName(profile), command, { user: 'postgres', timeout: LONG_TIMEOUT });
+}
+
+// Back up the databases to a timestamped archive in folder. A running container is dumped
+// with pg_dumpall; otherwise the volume itself is archived. step(message) reports progress.
+async function backup(profile, folder, step) {
+    const volume = volumeName(profile);
+    if (await isRunning(profile)) {
+        const file = `${volume}-${timestamp()}${DUMP_SUFFIX}`;
+        const name = compose.containerName(profile);
+        const sql = `/tmp/${path.basename(file, '.gz')}`;
+        step('Dumping all databases with pg_dumpall...');
+        const result = await execAsPostgres(profile, `pg_dumpall > ${sql} && gzip -f ${sql}`);
+        if (result.code !== 0) {
+            await execAsPostgres(profile, `rm -f ${sql} ${sql}.gz`);
+            throw new Error(`${runner.resultError(result, 'pg_dumpall').message}. If PostgreSQL is not running in the container, stop the container to back up the volume instead.`);
+        }
+        step(`Copying ${file} to ${folder}...`);
+        try {
+            await runtime.copy(`${name}:/tmp/${file}`, path.join(folder, file), { timeout: LONG_TIMEOUT });
+        } finally {
+            await execAsPostgres(profile, `rm -f /tmp/${file}`);
+        }
+        return path.join(folder, file);
+    }
+
+    const file = `${volume}-${timestamp()}${ARCHIVE_SUFFIX}`;
+    step(`Archiving volume ${volume} to ${file}...`);
+    await runtime.runOnce(profile.imageRef,
+        ['--user', 'root', '--entrypoint', 'tar', '-v', `${volume}:/volume:ro`, '-v', `${folder}:/backup`],
+        ['czf', `/backup/${file}`, '-C', '/volume', '.'],
+        { timeout: LONG_TIMEOUT });
+    return path.join(folder, file);
+}
+
+// What restoring an archive needs: a pg_dumpall dump goes into the running server,
+// a volume archive replaces the contents of the stopped volume
+function archiveKind(file) {
+    if (file.endsWith(DUMP_SUFFIX)) {
+        return 'dump';
+    }
+    if (file.endsWith(ARCHIVE_SUFFIX)) {
+        return 'volume';
+    }
+    throw new Error(`${path.basename(file)} is not a database backup (expected ${DUMP_SUFFIX} or ${ARCHIVE_SUFFIX})`);
+}
+
+async function restore(profile, file, step) {
+    const volume = volumeName(profile);
+    const base = path.basename(file);
+    if (archiveKind(file) === 'dump') {
+        const name = compose.containerName(profile);
+        step(`Copying ${base} into the container...`);
+        await runtime.copy(file, `${name}:/tmp/${base}`, { timeout: LONG_TIMEOUT });
+        step('Loading the dump with psql...');
+        // Roles such as postgres already exist, so errors on individual statements are expected
+        const result = await execAsPostgres(profile, `gunzip -c /tmp/${base} | psql -X -q -d postgres`);
+        // The copied file belongs to root
+        await runtime.exec(name, `rm -f /tmp/${base}`, { user: 'root', timeout: 30000 });
+        if (result.code !== 0) {
+            throw runner.resultError(result, 'psql');
+        }
+        return;
+    }
+
+    step(`Replacing the contents of volume ${volume} with ${base}...`);
+    await runtime.runOnce(profile.imageRef,
+        ['--user', 'root', '--entrypoint', '/bin/sh', '-v', `${volume}:/volume`, '-v', `${path.dirname(file)}:/backup:ro`],
+        ['-c', 'find /volume -mindepth 1 -delete && tar xzf "/backup/$1" -C /volume', 'sh', base],
+        { timeout: LONG_TIMEOUT });
+}
+
+// Remove the volume; compose recreates it from the image's initial database on the next start
+async function reset(profile, step) {
+    const volume = volumeName(profile);
+    step(`Removing volume ${volume}...`);
+    await runtime.removeVolume(volume);
+}
+
+module.exports = {
+    DUMP_SUFFIX,
+    ARCHIVE_SUFFIX,
+    volumeName,
+    isRunning,
+    archiveKind,
+    backup,
+    restore,
+    reset
+};
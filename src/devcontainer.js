@@ -0,0 +1,196 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const jsonc = require('jsonc-parser');
+
+// Keys the extension must control for Dev Containers to attach to the right service
+// (remoteWorkspaceFolder has to follow workspaceFolder). Everything else in an existing
+// file belongs to the user and is left alone.
+const REQUIRED_DEVCONTAINER_KEYS = ['dockerComposeFile', 'service', 'workspaceFolder', 'remoteUser', 'remoteWorkspaceFolder'];
+const REQUIRED_WORKSPACE_KEYS = [['metadata', 'rsmExtension']];
+
+const PREVIEW_SCHEME = 'rsm-proposed';
+const STATE_KEY = 'generatedFiles';
+
+const proposals = new Map();
+const proposalEmitter = new vscode.EventEmitter();
+
+// The one devcontainer.json template, used for the home folder and for project folders.
+// options.extensions and options.settings add a project template's recommendations.
+function devcontainerConfig(profile, workspaceFolder, options = {}) {
+    return {
+        "name": profile.name,
+        "dockerComposeFile": profile.composeFiles,
+        "service": profile.service,
+        "workspaceFolder": workspaceFolder,
+        "remoteUser": profile.remoteUser,
+        "overrideCommand": false,
+        "remoteWorkspaceFolder": workspaceFolder,
+        ...(options.shutdownAction ? { "shutdownAction": options.shutdownAction } : {}),
+        "customizations": {
+            "vscode": {
+                "extensions": [
+                    "ms-vscode-remote.remote-containers",
+                    ...(options.extensions || [])
+                ],
+                ...(options.settings ? { "settings": options.settings } : {})
+            }
+        }
+    };
+}
+
+// The .code-workspace template; metadata marks the file as created by this extension
+function workspaceConfig(options = {}) {
+    return {
+        "folders": [
+            {
+                "path": "."
+            }
+        ],
+        "settings": {
+            "remote.containers.defaultExtensions": [
+                "ms-vscode-remote.remote-containers"
+            ],
+            ...options.settings
+        },
+        ...(options.extensions?.length ? { "extensions": { "recommendations": options.extensions } } : {}),
+        "metadata": {
+            "rsmExtension": true,
+            "created": new Date().toISOString()
+        }
+    };
+}
+
+function detectIndent(text) {
+    const match = text.match(/\n([ \t]+)"/);
+    if (match && match[1].startsWith('\t')) {
+        return { insertSpaces: false, tabSize: 1 };
+    }
+    return { insertSpaces: true, tabSize: match ? match[1].length : 2 };
+}
+
+function getPath(object, keyPath) {
+    return keyPath.reduce((value, key) => value?.[key], object);
+}
+
+// Merge generated settings into existing JSON-with-comments text: required keys (or key
+// paths) are overwritten, other generated keys are only added when missing. Comments and
+// formatting of the existing file are preserved.
+function mergeJson(existingText, generated, requiredKeys) {
+    const errors = [];
+    const existing = jsonc.parse(existingText, errors, { allowTrailingComma: true });
+    if (errors.length > 0 || !existing || typeof existing !== 'object' || Array.isArray(existing)) {
+        throw new Error('the existing file is not a valid JSON object');
+    }
+
+    const formattingOptions = { ...detectIndent(existingText), eol: existingText.includes('\r\n') ? '\r\n' : '\n' };
+    const required = requiredKeys.map(key => Array.isArray(key) ? key : [key]);
+    let text = existingText;
+    const set = (keyPath, value) => {
+        text = jsonc.applyEdits(text, jsonc.modify(text, keyPath, value, { formattingOptions }));
+    };
+
+    for (const [key, value] of Object.entries(generated)) {
+        if (existing[key] === undefined) {
+            set([key], value);
+        }
+    }
+    for (const keyPath of required) {
+        const value = getPath(generated, keyPath);
+        if (!isDeepStrictEqual(getPath(existing, keyPath), value)) {
+            set(keyPath, value);
+        }
+    }
+    return text;
+}
+
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Content provider behind the right-hand side of the diff preview
+function registerPreviewProvider() {
+    return vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+        onDidChange: proposalEmitter.event,
+        provideTextDocumentContent: uri => proposals.get(uri.toString()) || ''
+    });
+}
+
+async function previewChanges(filePath, proposed, warning) {
+    const uri = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: filePath });
+    proposals.set(uri.toString(), proposed);
+    proposalEmitter.fire(uri);
+    try {
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            vscode.Uri.file(filePath),
+            uri,
+            `${path.basename(filePath)} (current ↔ proposed)`,
+            { preview: true }
+        );
+        const message = warning ||
+            `Update ${filePath}? Only the settings the RSM container needs are changed; your other settings are kept.`;
+        const choice = await vscode.window.showInformationMessage(message, 'Apply', 'Skip');
+        return choice === 'Apply';
+    } finally {
+        proposals.delete(uri.toString());
+    }
+}
+
+// Write a generated JSON file without clobbering user edits. New files are written directly;
+// existing files are merged, and when the user changed them since we last wrote them the
+// merge is shown as a diff first. Returns false when the user skipped the update.
+async function writeGenerated(filePath, generated, requiredKeys, memento) {
+    const written = memento.get(STATE_KEY) || {};
+    const remember = async text => {
+        await memento.update(STATE_KEY, { ...written, [filePath]: hash(text) });
+    };
+
+    if (!fs.existsSync(filePath)) {
+        const text = JSON.stringify(generated, null, 2);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, text);
+        await remember(text);
+        return true;
+    }
+
+    const current = fs.readFileSync(filePath, 'utf8');
+    let proposed;
+    let warning;
+    try {
+        proposed = mergeJson(current, generated, requiredKeys);
+    } catch (error) {
+        proposed = JSON.stringify(generated, null, 2);
+        warning = `${filePath} could not be parsed (${error.message}). Replace it with the generated version?`;
+    }
+    if (proposed === current) {
+        return true;
+    }
+
+    const editedByUser = written[filePath] !== hash(current);
+    if (editedByUser && !(await previewChanges(filePath, proposed, warning))) {
+        return false;
+    }
+    fs.writeFileSync(filePath, proposed);
+    await remember(proposed);
+    return true;
+}
+
+function writeDevcontainer(filePath, profile, workspaceFolder, memento, options) {
+    return writeGenerated(filePath, devcontainerConfig(profile, workspaceFolder, options), REQUIRED_DEVCONTAINER_KEYS, memento);
+}
+
+function writeWorkspace(filePath, memento, options) {
+    return writeGenerated(filePath, workspaceConfig(options), REQUIRED_WORKSPACE_KEYS, memento);
+}
+
+module.exports = {
+    devcontainerConfig,
+    workspaceConfig,
+    mergeJson,
+    registerPreviewProvider,
+    writeDevcontainer,
+    writeWorkspace
+};
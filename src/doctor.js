@@ -0,0 +1,246 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const runtime = require('./runtime');
+const compose = require('./compose');
+const ports = require('./ports');
+const ssh = require('./ssh');
+
+const GB = 1024 * 1024 * 1024;
+
+// Free space below these limits on the home drive is reported as warn/fail
+const DISK_WARN_GB = 15;
+const DISK_FAIL_GB = 3;
+
+// Docker architecture names for os.arch() values
+const DOCKER_ARCH = {
+    x64: 'amd64',
+    arm64: 'arm64'
+};
+
+const STATUS_ICONS = {
+    pass: '✅',
+    warn: '⚠️',
+    fail: '❌'
+};
+
+function result(id, title, status, detail, fix = '') {
+    return { id, title, status, detail, fix };
+}
+
+// Each check has an id, a title, whether a failure should block startContainer,
+// and a run(profile, state) function. state carries the runtime between checks.
+const CHECKS = [
+    {
+        id: 'runtime',
+        title: 'Container runtime installed',
+        fatal: true,
+        async run(profile, state) {
+            try {
+                state.runtime = await runtime.detect(true);
+                const r = state.runtime;
+                return result(this.id, this.title, 'pass', `${r.label}: ${r.engine} ${r.engineVersion}, compose ${r.composeVersion}`);
+            } catch (error) {
+                return result(this.id, this.title, 'fail', error.message,
+                    'Install Docker Desktop from https://www.docker.com/products/docker-desktop/ or check the rsm-vscode.runtime setting.');
+            }
+        }
+    },
+    {
+        id: 'daemon',
+        title: 'Container daemon reachable',
+        fatal: true,
+        async run(profile, state) {
+            if (!state.runtime) {
+                return result(this.id, this.title, 'fail', 'Skipped: no container runtime found', 'Install a container runtime first.');
+            }
+            try {
+                const version = await runtime.checkDaemon();
+                state.daemon = true;
+                return result(this.id, this.title, 'pass', `Server version ${version}`);
+            } catch (error) {
+                return result(this.id, this.title, 'fail', error.message,
+                    state.runtime.engine === 'podman' ? 'Run "podman machine start".' : 'Start Docker Desktop and wait until it reports that it is running.');
+            }
+        }
+    },
+    {
+        id: 'composeFile',
+        title: 'Compose file present',
+        fatal: true,
+        async run(profile) {
+            if (!fs.existsSync(profile.composeFile)) {
+                return result(this.id, this.title, 'fail', `Not found: ${profile.composeFile}`,
+                    'Check the rsm-vscode.composeFile setting or the composeFile of the active profile.');
+            }
+            try {
+                const service = compose.loadService([profile.composeFile], profile.service);
+                if (Object.keys(service).length === 0) {
+                    return result(this.id, this.title, 'fail', `Service "${profile.service}" is not defined in ${profile.composeFile}`,
+                        'Check the rsm-vscode.service setting.');
+                }
+            } catch (error) {
+                return result(this.id, this.title, 'fail', `Cannot parse ${profile.composeFile}: ${error.message}`, 'Fix the YAML syntax in the compose file.');
+            }
+            return result(this.id, this.title, 'pass', profile.composeFile);
+        }
+    },
+    {
+        id: 'portRemaps',
+        title: 'Port remaps supported',
+        fatal: true,
+        async run(profile, state) {
+            if (!ports.overridePorts(profile)) {
+                return result(this.id, this.title, 'pass', 'No ports remapped');
+            }
+            if (!state.runtime) {
+                return result(this.id, this.title, 'fail', 'Skipped: no container runtime found', 'Install a container runtime first.');
+            }
+            const r = state.runtime;
+            if (!r.mergeTags) {
+                return result(this.id, this.title, 'fail', `Ports are remapped, which needs Docker Compose ${runtime.MERGE_TAGS_VERSION} or later, not ${r.label} ${r.composeVersion}`,
+                    `Remove the rsm-vscode.portMappings setting or update to Docker Compose ${runtime.MERGE_TAGS_VERSION} or later.`);
+            }
+            return result(this.id, this.title, 'pass', `${r.label} ${r.composeVersion}`);
+        }
+    },
+    {
+        id: 'devContainers',
+        title: 'Dev Containers extension installed',
+        fatal: true,
+        async run() {
+            if (ssh.attachMode() === 'ssh') {
+                if (ssh.remoteSshInstalled()) {
+                    return result(this.id, 'Remote - SSH extension installed', 'pass', ssh.REMOTE_SSH_EXTENSION);
+                }
+                return result(this.id, 'Remote - SSH extension installed', 'fail', 'rsm-vscode.attachMode is ssh but Remote - SSH is not installed',
+                    `Install the "Remote - SSH" extension (${ssh.REMOTE_SSH_EXTENSION}) or set rsm-vscode.attachMode to devContainers.`);
+            }
+            const commands = await vscode.commands.getCommands(true);
+            if (commands.includes('remote-containers.openFolder')) {
+                return result(this.id, this.title, 'pass', 'ms-vscode-remote.remote-containers');
+            }
+            return result(this.id, this.title, 'fail', 'The remote-containers.openFolder command is not available',
+                'Install the "Dev Containers" extension (ms-vscode-remote.remote-containers) from the Extensions view.');
+        }
+    },
+    {
+        id: 'disk',
+        title: 'Free disk space',
+        fatal: false,
+        async run() {
+            try {
+                const stats = await fs.promises.statfs(os.homedir());
+                const free = (stats.bavail * stats.bsize) / GB;
+                const detail = `${free.toFixed(1)} GB free on the drive holding ${os.homedir()}`;
+                if (free < DISK_FAIL_GB) {
+                    return result(this.id, this.title, 'fail', detail, 'Free up disk space or prune unused images with "docker system prune".');
+                }
+                if (free < DISK_WARN_GB) {
+                    return result(this.id, this.title, 'warn', detail, 'Image updates need several GB. Consider freeing up disk space.');
+                }
+                return result(this.id, this.title, 'pass', detail);
+            } catch (error) {
+                return result(this.id, this.title, 'warn', `Could not determine free space: ${error.message}`);
+            }
+        }
+    },
+    {
+        id: 'image',
+        title: 'Image present with matching architecture',
+        fatal: false,
+        async run(profile, state) {
+            if (!state.daemon) {
+                return result(this.id, this.title, 'warn', 'Skipped: container daemon not reachable');
+            }
+            const image = await runtime.inspectImage(profile.imageRef);
+            if (!image) {
+                return result(this.id, this.title, 'warn', `${profile.imageRef} is not available locally`,
+                    'It will be downloaded on first start, or run "RSM: Check for Image Updates" to pull it now.');
+            }
+            const expected = DOCKER_ARCH[os.arch()] || os.arch();
+            if (image.Architecture !== expected) {
+                return result(this.id, this.title, 'warn', `${profile.imageRef} is built for ${image.Architecture}, this machine is ${expected}`,
+                    'The container will run under emulation and be slow. Select the matching profile with "RSM: Select Container Profile".');
+            }
+            return result(this.id, this.title, 'pass', `${profile.imageRef} (${image.Architecture})`);
+        }
+    },
+    {
+        id: 'ports',
+        title: 'Required ports free',
+        fatal: false,
+        async run(profile, state) {
+            if (state.daemon) {
+                const info = await runtime.inspect(compose.containerName(profile)).catch(() => undefined);
+                if (info?.State?.Running) {
+                    return result(this.id, this.title, 'pass', 'The RSM container is running and holds its ports');
+                }
+            }
+            const conflicts = await ports.findConflicts(profile);
+            if (conflicts.length === 0) {
+                const list = ports.getPortMappings(profile).map(p => p.published).join(', ');
+                return result(this.id, this.title, 'pass', `Ports ${list} are free`);
+            }
+            const detail = conflicts.map(c => `${c.published} used by ${c.holder}`).join('; ');
+            const fix = conflicts.every(c => c.suggestion) ?
+                `Stop the other program, or accept the remap offered on start (${conflicts.map(c => `${c.published} → ${c.suggestion}`).join(', ')}).` :
+                'Stop the programs holding these ports.';
+            return result(this.id, this.title, 'warn', detail, fix);
+        }
+    }
+];
+
+// Run all checks, or only the ones that block startContainer
+async function runChecks(profile, { fatalOnly = false } = {}) {
+    const state = {};
+    const results = [];
+    for (const check of CHECKS) {
+        if (fatalOnly && !check.fatal) {
+            continue;
+        }
+        let outcome;
+        try {
+            outcome = await check.run(profile, state);
+        } catch (error) {
+            outcome = result(check.id, check.title, 'fail', `Check failed: ${error.message}`);
+        }
+        results.push({ ...outcome, fatal: check.fatal });
+    }
+    return results;
+}
+
+function escapeCell(text) {
+    return String(text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function formatReport(profile, results, title = 'RSM Doctor') {
+    const worst = results.some(r => r.status === 'fail') ? 'fail' :
+        results.some(r => r.status === 'warn') ? 'warn' : 'pass';
+    const extension = vscode.extensions.getExtension('vnijs.rsm-vscode');
+    const lines = [
+        `# ${title}`,
+        '',
+        `Overall: ${STATUS_ICONS[worst]} **${worst.toUpperCase()}**`,
+        '',
+        `- Generated: ${new Date().toISOString()}`,
+        `- OS: ${os.type()} ${os.release()} (${os.arch()})`,
+        `- VS Code: ${vscode.version}`,
+        `- Extension: ${extension ? extension.packageJSON.version : 'unknown'}`,
+        `- Profile: ${profile.name} (${profile.imageRef})`,
+        '',
+        '| Status | Check | Details | Suggested fix |',
+        '| --- | --- | --- | --- |'
+    ];
+    for (const r of results) {
+        lines.push(`| ${STATUS_ICONS[r.status]} ${r.status} | ${escapeCell(r.title)} | ${escapeCell(r.detail)} | ${escapeCell(r.fix)} |`);
+    }
+    lines.push('');
+    return lines.join('\n');
+}
+
+module.exports = {
+    CHECKS,
+    runChecks,
+    formatReport
+};
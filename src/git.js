@@ -0,0 +1,217 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runtime = require('./runtime');
+const runner = require('./runner');
+const compose = require('./compose');
+const override = require('./override');
+
+// Global git settings compared between host and container. The identity keys can be copied.
+const IDENTITY_KEYS = ['user.name', 'user.email'];
+const OTHER_KEYS = ['init.defaultBranch', 'pull.rebase', 'core.autocrlf'];
+
+function result(id, title, status, detail, fix = '', apply = undefined) {
+    return { id, title, status, detail, fix, apply };
+}
+
+async function hostConfig(keys) {
+    const values = {};
+    for (const key of keys) {
+        try {
+            const output = await runner.run('git', ['config', '--global', '--get', key], { timeout: 10000 });
+            values[key] = output.code === 0 ? output.stdout.trim() : '';
+        } catch (error) {
+            // git is not installed on the host
+            values[key] = '';
+        }
+    }
+    return values;
+}
+
+function containerExec(profile, script, options = {}) {
+    return runtime.exec(compose.containerName(profile), script, {
+        user: profile.remoteUser,
+        timeout: 30000,
+        ...options
+    });
+}
+
+async function containerConfig(profile, keys) {
+    const values = {};
+    for (const key of keys) {
+        const output = await containerExec(profile, 'git config --global --get "$RSM_GIT_KEY"', { containerEnv: { RSM_GIT_KEY: key } });
+        values[key] = output.code === 0 ? output.stdout.trim() : '';
+    }
+    return values;
+}
+
+// Private keys with a matching .pub file in an .ssh folder listing
+function keyNames(files) {
+    return files.filter(file => files.includes(`${file}.pub`));
+}
+
+function hostKeys() {
+    const dir = path.join(os.homedir(), '.ssh');
+    return fs.existsSync(dir) ? keyNames(fs.readdirSync(dir)) : [];
+}
+
+// Host name in git@host, ssh://git@host:22/..., git@host:org/repo.git or https://host/...
+function remoteHost(remote) {
+    const match = remote.match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^:/]+)/i);
+    return match ? match[1] : remote;
+}
+
+function isSshRemote(remote) {
+    return !/^https?:\/\//.test(remote);
+}
+
+// A repository URL (https://..., ssh://..., git@host:org/repo.git) rather than a bare user@host
+function isRepository(remote) {
+    return /:\/\//.test(remote) || /^[^@\s]+@[^:]+:.+/.test(remote);
+}
+
+function identityCheck(profile, host, container) {
+    const missing = IDENTITY_KEYS.filter(key => !container[key]);
+    const differs = IDENTITY_KEYS.filter(key => container[key] && host[key] && container[key] !== host[key]);
+    const copyable = IDENTITY_KEYS.filter(key => host[key] && host[key] !== container[key]);
+    const detail = IDENTITY_KEYS.map(key => `${key}: host "${host[key] || 'unset'}", container "${container[key] || 'unset'}"`).join('; ');
+    const apply = copyable.length === 0 ? undefined : {
+        label: `Copy ${copyable.join(' and ')} from the host into the container`,
+        run: async () => {
+            for (const key of copyable) {
+                const output = await containerExec(profile, 'git config --global "$RSM_GIT_KEY" "$RSM_GIT_VALUE"', {
+                    containerEnv: { RSM_GIT_KEY: key, RSM_GIT_VALUE: host[key] }
+                });
+                if (output.code !== 0) {
+                    throw runner.resultError(output, `git config ${key}`);
+                }
+            }
+        }
+    };
+    if (missing.length > 0) {
+        return result('identity', 'Git identity in the container', 'fail', detail,
+            copyable.length > 0 ? 'Copy the identity from the host.' : `Run git config --global ${missing[0]} "..." in the container.`, apply);
+    }
+    if (differs.length > 0) {
+        return result('identity', 'Git identity in the container', 'warn', detail, 'Copy the identity from the host if commits should use it.', apply);
+    }
+    return result('identity', 'Git identity in the container', 'pass', detail);
+}
+
+function settingsCheck(host, container) {
+    const differing = OTHER_KEYS.filter(key => (host[key] || '') !== (container[key] || ''));
+    const detail = OTHER_KEYS.map(key => `${key}: host "${host[key] || 'unset'}", container "${container[key] || 'unset'}"`).join('; ');
+    if (differing.length === 0) {
+        return result('settings', 'Other git settings', 'pass', detail);
+    }
+    return result('settings', 'Other git settings', 'warn', detail, `Align ${differing.join(', ')} if git behaves differently on the host and in the container.`);
+}
+
+// What the container can use to authenticate: keys in ~/.ssh and a reachable agent
+async function keysCheck(profile) {
+    const listing = await containerExec(profile, 'ls -1 "$HOME/.ssh" 2>/dev/null; true');
+    const keys = keyNames(listing.stdout.split(/\r?\n/).filter(Boolean));
+    // ssh-add -l: 0 keys loaded, 1 agent without keys, 2 no agent
+    const agent = await containerExec(profile, 'ssh-add -l > /dev/null 2>&1; echo $?');
+    const agentStatus = agent.stdout.trim();
+    const agentKeys = agentStatus === '0';
+    const hostKeyList = hostKeys();
+    const detail = `Container keys: ${keys.join(', ') || 'none'}; SSH agent: ${agentKeys ? 'forwarded with keys' : agentStatus === '1' ? 'forwarded, no keys loaded' : 'not available'}; host keys: ${hostKeyList.join(', ') || 'none'}`;
+
+    const forwarding = vscode.workspace.getConfiguration('rsm-vscode').get('forwardSshAgent');
+    const canForward = !forwarding && (os.platform() === 'darwin' || (os.platform() === 'linux' && !!process.env.SSH_AUTH_SOCK));
+    const apply = !canForward ? undefined : {
+        label: 'Forward the host SSH agent into the container (applies on the next container start)',
+        run: async () => {
+            await vscode.workspace.getConfiguration('rsm-vscode').update('forwardSshAgent', true, vscode.ConfigurationTarget.Global);
+            override.writeOverride(profile);
+        }
+    };
+    if (keys.length > 0 || agentKeys) {
+        return result('keys', 'SSH keys visible in the container', 'pass', detail);
+    }
+    if (forwarding && agentStatus !== '2') {
+        return result('keys', 'SSH keys visible in the container', 'warn', detail, 'Load your key into the host agent with ssh-add.');
+    }
+    const fix = canForward ? 'Forward the host SSH agent.' :
+        forwarding ? 'Restart the container so the agent forwarding applies.' :
+            `Copy a key into ~/.ssh in the container or set up agent forwarding${hostKeyList.length > 0 ? '' : ' after creating a key with ssh-keygen'}.`;
+    return result('keys', 'SSH keys visible in the container', 'fail', detail, fix, apply);
+}
+
+async function knownHostsCheck(profile, remote) {
+    if (!isSshRemote(remote)) {
+        return undefined;
+    }
+    const host = remoteHost(remote);
+    const found = await containerExec(profile, 'ssh-keygen -F "$RSM_GIT_HOST" > /dev/null 2>&1', { containerEnv: { RSM_GIT_HOST: host } });
+    if (found.code === 0) {
+        return result('knownHosts', `${host} in known_hosts`, 'pass', '~/.ssh/known_hosts in the container has a key for the host');
+    }
+    return result('knownHosts', `${host} in known_hosts`, 'fail', `The container does not know the host key of ${host}, so SSH refuses to connect`,
+        `Add the host key with ssh-keyscan ${host} (check its fingerprint against the one your git host publishes).`, {
+            label: `Add the host key of ${host} to known_hosts in the container`,
+            run: async () => {
+                const output = await containerExec(profile,
+                    'mkdir -p "$HOME/.ssh" && chmod 700 "$HOME/.ssh" && ssh-keyscan -T 10 "$RSM_GIT_HOST" 2>/dev/null > /tmp/rsm-known-host && [ -s /tmp/rsm-known-host ] && cat /tmp/rsm-known-host >> "$HOME/.ssh/known_hosts"; status=$?; rm -f /tmp/rsm-known-host; exit $status',
+                    { containerEnv: { RSM_GIT_HOST: host } });
+                if (output.code !== 0) {
+                    throw new Error(`ssh-keyscan could not reach ${host}`);
+                }
+            }
+        });
+}
+
+// Try to authenticate from the container: `git ls-remote` for a repository, `ssh -T` for a bare user@host
+async function authCheck(profile, remote) {
+    const title = `Authenticate to ${remote}`;
+    if (isRepository(remote)) {
+        const output = await containerExec(profile, 'git ls-remote "$RSM_GIT_REMOTE" > /dev/null', {
+            // Fail instead of waiting for a password or passphrase nobody can type
+            containerEnv: { RSM_GIT_REMOTE: remote, GIT_TERMINAL_PROMPT: '0', GIT_SSH_COMMAND: 'ssh -o BatchMode=yes -o ConnectTimeout=10' },
+            timeout: 60000
+        });
+        if (output.code === 0) {
+            return result('auth', title, 'pass', 'git ls-remote succeeded');
+        }
+        return result('auth', title, 'fail', runner.resultError(output, 'git ls-remote').message, isSshRemote(remote) ?
+            'Add your public key to your account on the git host, or forward an SSH agent that holds it.' :
+            'Set up a credential helper or a personal access token in the container.');
+    }
+    const output = await containerExec(profile, 'ssh -T -o BatchMode=yes -o ConnectTimeout=10 "$RSM_GIT_REMOTE" 2>&1', {
+        containerEnv: { RSM_GIT_REMOTE: remote },
+        timeout: 60000
+    });
+    const text = output.stdout.trim();
+    // Git hosts greet authenticated users and then close the session with a non-zero exit code
+    if (/successfully authenticated|welcome to gitlab|logged in as|authenticated via/i.test(text)) {
+        return result('auth', title, 'pass', text.split(/\r?\n/)[0]);
+    }
+    if (/host key verification failed/i.test(text)) {
+        return result('auth', title, 'fail', text, 'Add the host key to known_hosts first.');
+    }
+    return result('auth', title, 'fail', text || runner.resultError(output, 'ssh').message,
+        'Add your public key to your account on the git host, or forward an SSH agent that holds it.');
+}
+
+// All checks; results that can be fixed automatically carry apply = { label, run }
+async function runChecks(profile) {
+    const keys = [...IDENTITY_KEYS, ...OTHER_KEYS];
+    const host = await hostConfig(keys);
+    const container = await containerConfig(profile, keys);
+    const remote = vscode.workspace.getConfiguration('rsm-vscode').get('gitRemote') || 'git@github.com';
+    const results = [
+        identityCheck(profile, host, container),
+        settingsCheck(host, container),
+        await keysCheck(profile),
+        await knownHostsCheck(profile, remote),
+        await authCheck(profile, remote)
+    ];
+    return results.filter(Boolean);
+}
+
+module.exports = {
+    remoteHost,
+    runChecks
+};
@@ -0,0 +1,119 @@
+// Detached auto-stop watcher, started by autostop.js when the last VS Code window closes.
+// Run as `node idlewatch.js <watcher file> <token>`; it exits as soon as a window opens
+// again or a newer watcher takes over the file, and otherwise stops the container:
+//   lastWindowClosed - after the grace period, unless a window attached to the container
+//   idle             - once no managed tool has been running for delayMs
+const fs = require('fs');
+const runner = require('./runner');
+const sessions = require('./sessions');
+
+const [file, token] = process.argv.slice(2);
+
+function log(message) {
+    try {
+        fs.appendFileSync(config.logFile, `[${new Date().toISOString()}] ${message}\n`);
+    } catch (error) {
+        // Nowhere left to report to
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// False once a window removed the file or a newer watcher rewrote it
+function owned() {
+    return readConfig()?.token === token;
+}
+
+async function containerRunning() {
+    const result = await runner.run(config.engine, ['inspect', '--format', '{{.State.Running}}', config.container], { timeout: 30000 });
+    return result.code === 0 && result.stdout.trim() === 'true';
+}
+
+async function toolsRunning() {
+    for (const pattern of config.toolPatterns) {
+        const result = await runner.runInContainer(config.container, 'pgrep -i -f "$RSM_TOOL_PATTERN" > /dev/null', {
+            engine: config.engine,
+            user: config.user,
+            timeout: 30000,
+            containerEnv: { RSM_TOOL_PATTERN: pattern }
+        });
+        if (result.code === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+async function stopContainer(reason) {
+    log(`Stopping ${config.container}: ${reason}`);
+    const result = await runner.run(config.compose.command, config.compose.args, { cwd: config.compose.cwd, timeout: 5 * 60000 });
+    log(result.code === 0 ? 'Stopped' : runner.resultError(result, 'compose down').message);
+}
+
+async function lastWindowClosed() {
+    await sleep(config.delayMs);
+    if (!owned()) {
+        return;
+    }
+    if (sessions.attachedTo(sessions.listSessions(config.sessionsDir), config.container).length > 0) {
+        log('A window attached to the container again');
+        return;
+    }
+    if (await containerRunning()) {
+        await stopContainer('the last attached window closed');
+    }
+}
+
+async function idle() {
+    let idleSince = Date.now();
+    for (;;) {
+        await sleep(config.heartbeatMs);
+        if (!owned()) {
+            return;
+        }
+        if (sessions.listSessions(config.sessionsDir).length > 0) {
+            log('A window opened and took over');
+            return;
+        }
+        if (!(await containerRunning())) {
+            log('The container is no longer running');
+            return;
+        }
+        if (await toolsRunning()) {
+            idleSince = Date.now();
+        } else if (Date.now() - idleSince >= config.delayMs) {
+            await stopContainer(`idle for ${Math.round(config.delayMs / 60000)} min`);
+            return;
+        }
+    }
+}
+
+const config = readConfig();
+
+async function main() {
+    if (!config || config.token !== token) {
+        return;
+    }
+    log(`Watching ${config.container} (${config.mode})`);
+    try {
+        await (config.mode === 'idle' ? idle() : lastWindowClosed());
+    } catch (error) {
+        log(`Watcher failed: ${error.message}`);
+    } finally {
+        if (owned()) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+}
+
+main();
@@ -0,0 +1,212 @@
+const http = require('http');
+const https = require('https');
+const runtime = require('./runtime');
+
+const DOCKER_HUB = 'registry-1.docker.io';
+
+const MANIFEST_TYPES = [
+    'application/vnd.oci.image.index.v1+json',
+    'application/vnd.docker.distribution.manifest.list.v2+json',
+    'application/vnd.docker.distribution.manifest.v2+json',
+    'application/vnd.oci.image.manifest.v1+json'
+].join(', ');
+
+// Split an image reference into registry host, repository and tag
+function parseImageRef(ref) {
+    let rest = ref;
+    let registry;
+    const slash = rest.indexOf('/');
+    const first = slash === -1 ? '' : rest.slice(0, slash);
+    if (first && (first.includes('.') || first.includes(':') || first === 'localhost')) {
+        registry = first;
+        rest = rest.slice(slash + 1);
+    }
+
+    let tag = 'latest';
+    const colon = rest.lastIndexOf(':');
+    if (colon > rest.lastIndexOf('/')) {
+        tag = rest.slice(colon + 1);
+        rest = rest.slice(0, colon);
+    }
+    if (!registry && !rest.includes('/')) {
+        rest = `library/${rest}`;
+    }
+    return { registry, repository: rest, tag };
+}
+
+// Registry API base URL for an image. Images without a registry host use the
+// configured endpoint; localhost registries are plain http like in Docker itself.
+function registryUrl(image, defaultEndpoint) {
+    if (!image.registry) {
+        return (defaultEndpoint || `https://${DOCKER_HUB}`).replace(/\/+$/, '');
+    }
+    const insecure = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(image.registry);
+    return `${insecure ? 'http' : 'https'}://${image.registry}`;
+}
+
+function request(url, options = {}, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, { method: options.method || 'GET', headers: options.headers || {} }, res => {
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirects > 0) {
+                res.resume();
+                const next = new URL(res.headers.location, url).toString();
+                resolve(request(next, options, redirects - 1));
+                return;
+            }
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.setTimeout(options.timeout || 15000, () => req.destroy(new Error(`Request to ${url} timed out`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// Fetch an anonymous bearer token as described by a WWW-Authenticate challenge
+async function fetchToken(challenge) {
+    const params = {};
+    for (const match of challenge.matchAll(/(\w+)="([^"]*)"/g)) {
+        params[match[1]] = match[2];
+    }
+    if (!params.realm) {
+        throw new Error(`Unsupported registry authentication: ${challenge}`);
+    }
+    const url = new URL(params.realm);
+    if (params.service) {
+        url.searchParams.set('service', params.service);
+    }
+    if (params.scope) {
+        url.searchParams.set('scope', params.scope);
+    }
+    const res = await request(url.toString());
+    if (res.status !== 200) {
+        throw new Error(`Registry token request failed with status ${res.status}`);
+    }
+    const data = JSON.parse(res.body);
+    return data.token || data.access_token;
+}
+
+// Ask the registry for the digest the tag currently points to
+async function getRemoteDigest(ref, defaultEndpoint) {
+    const image = parseImageRef(ref);
+    const url = `${registryUrl(image, defaultEndpoint)}/v2/${image.repository}/manifests/${image.tag}`;
+    const headers = { Accept: MANIFEST_TYPES };
+
+    let res = await request(url, { method: 'HEAD', headers });
+    if (res.status === 401 && res.headers['www-authenticate']) {
+        const token = await fetchToken(res.headers['www-authenticate']);
+        res = await request(url, { method: 'HEAD', headers: { ...headers, Authorization: `Bearer ${token}` } });
+    }
+    if (res.status !== 200) {
+        throw new Error(`Registry returned status ${res.status} for ${url}`);
+    }
+    const digest = res.headers['docker-content-digest'];
+    if (!digest) {
+        throw new Error(`Registry did not report a digest for ${ref}`);
+    }
+    return digest;
+}
+
+// Local image id and repo digests, or undefined when the image is not present
+async function getLocalImage(ref) {
+    const info = await runtime.inspectImage(ref);
+    if (!info) {
+        return undefined;
+    }
+    return {
+        id: info.Id,
+        digests: (info.RepoDigests || []).map(d => d.split('@')[1]),
+        architecture: info.Architecture,
+        created: info.Created
+    };
+}
+
+// Compare the local image with the registry
+async function checkForUpdate(ref, defaultEndpoint) {
+    const [local, remoteDigest] = await Promise.all([
+        getLocalImage(ref),
+        getRemoteDigest(ref, defaultEndpoint)
+    ]);
+    return {
+        local,
+        remoteDigest,
+        updateAvailable: !local || !local.digests.includes(remoteDigest)
+    };
+}
+
+// Layer id and status from a line of docker ("abc123def456: Downloading [==>  ]")
+// or podman ("Copying blob sha256:abc123... done") pull output
+function parsePullLine(line) {
+    const docker = line.match(/^([0-9a-f]{12}): (.+)$/);
+    if (docker) {
+        return { layer: docker[1], status: docker[2].replace(/\s*\[.*$/, '').trim() };
+    }
+    const podman = line.match(/^Copying blob (?:sha256:)?([0-9a-f]{12})[0-9a-f]*\s*(.*)$/);
+    if (podman) {
+        const status = /done|skipped|already exists/i.test(podman[2]) ? 'Pull complete' : 'Downloading';
+        return { layer: podman[1], status };
+    }
+    return undefined;
+}
+
+// Pull an image, reporting per-layer status as the CLI prints it.
+// onProgress receives { layers, done, message, increment } where increment is in percent.
+async function pullImage(ref, onProgress, token) {
+    const layers = new Map();
+    let reported = 0;
+
+    const handleLine = line => {
+        const parsed = parsePullLine(line.trim());
+        if (!parsed) {
+            return;
+        }
+        layers.set(parsed.layer, parsed.status);
+
+        const values = Array.from(layers.values());
+        const done = values.filter(s => /^(Pull complete|Already exists)/.test(s)).length;
+        const downloaded = values.filter(s => /^(Download complete|Extracting|Verifying)/.test(s)).length;
+        // Downloads count for half a layer, extraction for the other half
+        const percent = Math.round(((done + downloaded / 2) / layers.size) * 100);
+        const increment = Math.max(0, percent - reported);
+        reported = Math.max(reported, percent);
+        onProgress({
+            layers: layers.size,
+            done,
+            message: `${done}/${layers.size} layers complete (${parsed.layer}: ${parsed.status})`,
+            increment
+        });
+    };
+
+    const splitter = () => {
+        let buffer = '';
+        const onData = data => {
+            buffer += data;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        };
+        onData.flush = () => buffer && handleLine(buffer);
+        return onData;
+    };
+
+    // Podman reports its progress on stderr
+    const stdout = splitter();
+    const stderr = splitter();
+    await runtime.pull(ref, { token, onStdout: stdout, onStderr: stderr });
+}
+
+function removeImage(id) {
+    return runtime.removeImage(id);
+}
+
+module.exports = {
+    parseImageRef,
+    getRemoteDigest,
+    getLocalImage,
+    checkForUpdate,
+    pullImage,
+    removeImage
+};
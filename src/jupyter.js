@@ -0,0 +1,201 @@
+const vscode = require('vscode');
+const runtime = require('./runtime');
+const compose = require('./compose');
+const ports = require('./ports');
+const { getTool } = require('./tools');
+const { isAttachedWindow } = require('./container');
+
+const JUPYTER_EXTENSION = 'ms-toolsai.jupyter';
+const COLLECTION_ID = 'rsm-container';
+
+// Port the shipped compose files publish for Jupyter
+const JUPYTER_PORT = 8765;
+
+// Server started by "RSM: Start Jupyter Server", unless rsm-vscode.tools defines a `jupyter` tool.
+// The token is generated by the server and read back from its runtime file.
+const JUPYTER_TOOL = {
+    id: 'jupyter',
+    label: 'Jupyter Server',
+    command: `jupyter server --no-browser --ip=0.0.0.0 --port=${JUPYTER_PORT} --ServerApp.port_retries=0`,
+    port: JUPYTER_PORT,
+    pattern: 'jupyter-(server|lab|notebook)',
+    path: '/api',
+    readyTimeout: 60
+};
+
+// Print the runtime files of the servers that are still alive, one JSON document per line.
+// The pid is part of the file name: jpserver-<pid>.json (Jupyter Server) or nbserver-<pid>.json (Notebook 6).
+const DISCOVER_SCRIPT = [
+    'dir="${JUPYTER_RUNTIME_DIR:-$HOME/.local/share/jupyter/runtime}"',
+    'for f in "$dir"/jpserver-*.json "$dir"/nbserver-*.json; do',
+    '  [ -f "$f" ] || continue',
+    '  pid="${f##*-}"; pid="${pid%.json}"',
+    '  kill -0 "$pid" 2>/dev/null && tr -d "\\n" < "$f" && echo',
+    'done',
+    'true'
+].join('\n');
+
+function jupyterTool() {
+    return getTool('jupyter') || JUPYTER_TOOL;
+}
+
+// Running Jupyter servers in the container with the host URL that reaches them. Servers on a
+// port the container does not publish are returned with reachable: false.
+async function discoverServers(profile) {
+    const result = await runtime.exec(compose.containerName(profile), DISCOVER_SCRIPT, {
+        user: profile.remoteUser,
+        timeout: 15000
+    });
+    if (result.code !== 0) {
+        throw new Error(result.stderr.trim() || `Listing Jupyter servers exited with code ${result.code}`);
+    }
+    const published = ports.getPortMappings(profile).map(port => port.target);
+    return result.stdout.split(/\r?\n/).filter(line => line.trim().startsWith('{')).map(line => {
+        const info = JSON.parse(line);
+        const hostPort = ports.hostPort(profile, info.port);
+        const baseUrl = `http://localhost:${hostPort}${info.base_url || '/'}`;
+        return {
+            id: `${profile.name}-${info.pid}`,
+            pid: info.pid,
+            // Notebook 6 writes notebook_dir where Jupyter Server writes root_dir
+            kind: info.root_dir !== undefined ? 'Jupyter Server' : 'Jupyter Notebook',
+            port: info.port,
+            hostPort,
+            baseUrl,
+            token: info.token || '',
+            rootDir: info.root_dir || info.notebook_dir,
+            reachable: published.includes(info.port)
+        };
+    });
+}
+
+// Offers the container's Jupyter servers in the kernel picker of the Jupyter extension
+// ("Select Another Kernel" > "RSM Container"), so host notebooks can use container kernels
+// without copying tokens. Registration waits until the Jupyter extension is active, to avoid
+// loading it in windows that never open a notebook.
+class JupyterServerProvider {
+    constructor(getProfile, monitor, log, startServer) {
+        this.getProfile = getProfile;
+        this.monitor = monitor;
+        this.log = log;
+        this.startServer = startServer;
+        this.servers = new Map();
+        this.collection = undefined;
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChangeServers = this.emitter.event;
+        this.lastTools = '';
+        this.listeners = [
+            // Tell the Jupyter extension to ask again when a server starts or stops
+            monitor.onDidChange(() => {
+                const tools = monitor.tools.map(tool => tool.label).join();
+                if (tools !== this.lastTools) {
+                    this.lastTools = tools;
+                    this.refresh();
+                }
+            }),
+            vscode.workspace.onDidOpenNotebookDocument(document => {
+                if (document.notebookType === 'jupyter-notebook') {
+                    this.register();
+                }
+            })
+        ];
+        if (vscode.extensions.getExtension(JUPYTER_EXTENSION)?.isActive) {
+            this.register();
+        }
+    }
+
+    async register() {
+        // In an attached window the Jupyter extension runs in the container and reaches the server directly
+        if (this.collection || isAttachedWindow()) {
+            return;
+        }
+        const extension = vscode.extensions.getExtension(JUPYTER_EXTENSION);
+        if (!extension) {
+            return;
+        }
+        try {
+            const api = await extension.activate();
+            if (this.collection) {
+                return;
+            }
+            if (typeof api?.createJupyterServerCollection !== 'function') {
+                this.log('The installed Jupyter extension does not support server collections; update it to pick RSM container kernels');
+                return;
+            }
+            this.collection = api.createJupyterServerCollection(COLLECTION_ID, 'RSM Container', this);
+            this.collection.commandProvider = {
+                provideCommands: () => [{ label: 'Start Jupyter Server in the RSM Container', canBeAutoSelected: true }],
+                handleCommand: () => this.startAndResolve()
+            };
+            this.log('Registered the RSM container with the Jupyter extension');
+        } catch (error) {
+            this.log(`Could not register with the Jupyter extension: ${error.message}`);
+        }
+    }
+
+    refresh() {
+        this.emitter.fire();
+    }
+
+    async provideJupyterServers() {
+        if (this.monitor.state !== 'running' && this.monitor.state !== 'attached') {
+            return [];
+        }
+        let found;
+        try {
+            found = await discoverServers(this.getProfile());
+        } catch (error) {
+            this.log(`Could not list Jupyter servers: ${error.message}`);
+            return [];
+        }
+        for (const server of found.filter(s => !s.reachable)) {
+            this.log(`Jupyter server ${server.pid} listens on port ${server.port}, which the container does not publish`);
+        }
+        this.servers = new Map(found.filter(s => s.reachable).map(s => [s.id, s]));
+        return [...this.servers.values()].map(s => ({
+            id: s.id,
+            label: `${s.kind} on port ${s.hostPort}${s.rootDir ? ` (${s.rootDir})` : ''}`
+        }));
+    }
+
+    async resolveJupyterServer(server) {
+        if (!this.servers.has(server.id)) {
+            await this.provideJupyterServers();
+        }
+        const found = this.servers.get(server.id);
+        if (!found) {
+            return undefined;
+        }
+        return {
+            ...server,
+            connectionInformation: {
+                baseUrl: vscode.Uri.parse(found.baseUrl),
+                token: found.token
+            }
+        };
+    }
+
+    // Command shown in the kernel picker: start a server and hand it straight to the Jupyter extension
+    async startAndResolve() {
+        if (!(await this.startServer())) {
+            return undefined;
+        }
+        const servers = await this.provideJupyterServers();
+        this.refresh();
+        const started = [...this.servers.values()].find(s => s.port === jupyterTool().port);
+        return started && servers.find(s => s.id === started.id);
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.collection?.dispose();
+        this.emitter.dispose();
+    }
+}
+
+module.exports = {
+    JUPYTER_PORT,
+    jupyterTool,
+    discoverServers,
+    JupyterServerProvider
+};
@@ -0,0 +1,106 @@
+const vscode = require('vscode');
+const runtime = require('./runtime');
+const sidecars = require('./sidecars');
+
+const CHANNEL_NAME = 'RSM Container Logs';
+
+// How much history to show before following
+const RANGES = [
+    { label: 'Last 100 lines', args: ['--tail', '100'] },
+    { label: 'Last 1000 lines', args: ['--tail', '1000'] },
+    { label: 'Since 10 minutes ago', args: ['--since', '10m'] },
+    { label: 'Since 1 hour ago', args: ['--since', '1h'] },
+    { label: 'Since 24 hours ago', args: ['--since', '24h'] },
+    { label: 'Everything', args: [] },
+    { label: 'New lines only', args: ['--tail', '0'] }
+];
+
+// Ask which services to follow and how far back to start; returns undefined when cancelled
+async function pickLogOptions(profile) {
+    const services = [profile.service, ...sidecars.enabledSidecars(profile).map(sidecar => sidecar.id)];
+    let selected = services;
+    if (services.length > 1) {
+        const picked = await vscode.window.showQuickPick(
+            services.map(service => ({ label: service, picked: true })),
+            { canPickMany: true, placeHolder: 'Services to show logs for' }
+        );
+        if (!picked || picked.length === 0) {
+            return undefined;
+        }
+        selected = picked.map(item => item.label);
+    }
+    const range = await vscode.window.showQuickPick(RANGES, { placeHolder: 'Start from' });
+    if (!range) {
+        return undefined;
+    }
+    return { services: selected, args: range.args, range: range.label };
+}
+
+// Follows `compose logs -f` into a dedicated output channel. Following stops when the
+// channel's document is closed, the container stops or stop() is called.
+class LogFollower {
+    constructor(log) {
+        this.log = log;
+        this.channel = vscode.window.createOutputChannel(CHANNEL_NAME);
+        this.cancellation = undefined;
+        this.closeListener = vscode.workspace.onDidCloseTextDocument(document => {
+            if (document.uri.scheme === 'output' && document.uri.path.includes(CHANNEL_NAME)) {
+                this.stop();
+            }
+        });
+    }
+
+    get following() {
+        return !!this.cancellation;
+    }
+
+    async follow(profile, options) {
+        this.stop();
+        const cancellation = new vscode.CancellationTokenSource();
+        this.cancellation = cancellation;
+
+        this.channel.clear();
+        this.channel.show(true);
+        this.channel.appendLine(`Following logs for ${options.services.join(', ')} (${options.range.toLowerCase()})`);
+        this.log(`Following container logs for ${options.services.join(', ')}`);
+
+        const append = data => this.channel.append(data);
+        try {
+            await runtime.logs(profile, ['--follow', '--no-color', '--timestamps', ...options.args, ...options.services], {
+                token: cancellation.token,
+                onStdout: append,
+                onStderr: append
+            });
+            this.channel.appendLine('--- The container stopped; no longer following logs ---');
+        } catch (error) {
+            if (!cancellation.token.isCancellationRequested) {
+                this.channel.appendLine(`--- ${error.message} ---`);
+                this.log(`Container logs stopped: ${error.message}`);
+            }
+        } finally {
+            if (this.cancellation === cancellation) {
+                this.cancellation = undefined;
+            }
+            cancellation.dispose();
+        }
+    }
+
+    stop() {
+        if (this.cancellation) {
+            this.cancellation.cancel();
+            this.channel.appendLine('--- Stopped following logs ---');
+            this.cancellation = undefined;
+        }
+    }
+
+    dispose() {
+        this.stop();
+        this.closeListener.dispose();
+        this.channel.dispose();
+    }
+}
+
+module.exports = {
+    pickLogOptions,
+    LogFollower
+};
@@ -0,0 +1,126 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const compose = require('./compose');
+const ports = require('./ports');
+const sidecars = require('./sidecars');
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+// Extra bind mounts from settings, as "host:container" strings
+function getExtraMounts() {
+    return getConfig().get('extraMounts') || [];
+}
+
+async function addExtraMount(hostPath, containerPath) {
+    const mounts = getExtraMounts().filter(m => !m.endsWith(`:${containerPath}`));
+    mounts.push(`${hostPath}:${containerPath}`);
+    await getConfig().update('extraMounts', mounts, vscode.ConfigurationTarget.Global);
+}
+
+// Timezone for the container: the setting, or the host's own IANA timezone
+function getTimezone() {
+    return getConfig().get('timezone') || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Environment for the container. Compose interpolates the override file too, so `$` is
+// escaped to keep values literal.
+function getEnvironment() {
+    const environment = {};
+    const timezone = getTimezone();
+    if (timezone) {
+        environment.TZ = timezone;
+    }
+    for (const [key, value] of Object.entries(getConfig().get('environment') || {})) {
+        environment[key] = String(value).replace(/\$/g, '$$$$');
+    }
+    return environment;
+}
+
+// CPU, memory and shared memory limits; unset values leave the runtime defaults
+function getResources() {
+    const config = getConfig();
+    const resources = {};
+    if (config.get('cpus') > 0) {
+        resources.cpus = config.get('cpus');
+    }
+    if (config.get('memory')) {
+        resources.mem_limit = config.get('memory');
+    }
+    if (config.get('shmSize')) {
+        resources.shm_size = config.get('shmSize');
+    }
+    return resources;
+}
+
+// Docker Desktop for Mac exposes the host's agent at a fixed path inside the VM
+const MAC_AGENT_SOCKET = '/run/host-services/ssh-auth.sock';
+const AGENT_SOCKET = '/run/ssh-agent.sock';
+
+// Mount and environment that forward the host's SSH agent into the container, when
+// rsm-vscode.forwardSshAgent is on and the host has an agent to forward
+function getSshAgent() {
+    if (!getConfig().get('forwardSshAgent')) {
+        return undefined;
+    }
+    if (os.platform() === 'darwin') {
+        return { volume: `${MAC_AGENT_SOCKET}:${MAC_AGENT_SOCKET}`, socket: MAC_AGENT_SOCKET };
+    }
+    if (os.platform() === 'linux' && process.env.SSH_AUTH_SOCK) {
+        return { volume: `${process.env.SSH_AUTH_SOCK}:${AGENT_SOCKET}`, socket: AGENT_SOCKET };
+    }
+    return undefined;
+}
+
+// Build the override that layers the profile's settings onto the shipped compose file
+function buildOverride(profile) {
+    const extra = sidecars.buildSidecars(profile);
+    /** @type {Record<string, any>} */
+    const service = {
+        image: profile.imageRef,
+        environment: { ...extra.environment, ...getEnvironment() },
+        ...getResources()
+    };
+    const mounts = [...getExtraMounts()];
+    const agent = getSshAgent();
+    if (agent) {
+        mounts.push(agent.volume);
+        service.environment.SSH_AUTH_SOCK = agent.socket;
+    }
+    if (mounts.length > 0) {
+        service.volumes = mounts;
+    }
+    const remappedPorts = ports.overridePorts(profile);
+    if (remappedPorts) {
+        service.ports = remappedPorts;
+    }
+    const override = {
+        services: {
+            [profile.service]: service,
+            ...extra.services
+        }
+    };
+    if (Object.keys(extra.volumes).length > 0) {
+        override.volumes = extra.volumes;
+    }
+    return override;
+}
+
+// Write the compose override file for the profile and return its path
+function writeOverride(profile) {
+    const header = '# Generated by the RSM VS Code extension. Changes will be overwritten.\n';
+    fs.mkdirSync(path.dirname(profile.overrideFile), { recursive: true });
+    fs.writeFileSync(profile.overrideFile, header + compose.dump(buildOverride(profile)));
+    return profile.overrideFile;
+}
+
+module.exports = {
+    getExtraMounts,
+    addExtraMount,
+    getSshAgent,
+    buildOverride,
+    writeOverride
+};
@@ -0,0 +1,209 @@
+const runtime = require('./runtime');
+const runner = require('./runner');
+const compose = require('./compose');
+
+// Lists packages in the R user library(s) under the home directory as tab separated
+// name, version, size in bytes, version in the image's libraries (if any) and library path
+const R_LIST = `
+home <- normalizePath("~")
+libs <- .libPaths()
+user <- libs[startsWith(normalizePath(libs, mustWork = FALSE), home)]
+base <- installed.packages(lib.loc = setdiff(libs, user))
+pkgs <- installed.packages(lib.loc = user)
+for (i in seq_len(nrow(pkgs))) {
+    name <- pkgs[i, "Package"]
+    dir <- file.path(pkgs[i, "LibPath"], name)
+    size <- sum(file.info(list.files(dir, recursive = TRUE, full.names = TRUE, all.files = TRUE))$size, na.rm = TRUE)
+    shadows <- if (name %in% rownames(base)) base[name, "Version"] else ""
+    cat(name, pkgs[i, "Version"], format(size, scientific = FALSE), shadows, pkgs[i, "LibPath"], sep = "\\t")
+    cat("\\n")
+}
+`;
+
+const R_REMOVE = `
+args <- strsplit(Sys.getenv("RSM_PACKAGES"), "\\t")[[1]]
+lib <- args[1]
+remove.packages(args[-1], lib = lib)
+`;
+
+// Installs name==version specs into the user library with remotes::install_version. Without
+// remotes a package is only installed when the recorded version is the repository's current
+// one. Exits non-zero when a package is missing or at another version afterwards.
+const R_INSTALL = `
+specs <- strsplit(strsplit(Sys.getenv("RSM_PACKAGES"), "\t")[[1]], "==", fixed = TRUE)
+home <- normalizePath("~")
+libs <- .libPaths()
+lib <- libs[startsWith(normalizePath(libs, mustWork = FALSE), home)][1]
+if (is.na(lib)) lib <- libs[1]
+has_remotes <- requireNamespace("remotes", quietly = TRUE)
+available <- if (has_remotes) NULL else available.packages()
+for (spec in specs) {
+    tryCatch({
+        if (has_remotes) {
+            remotes::install_version(spec[1], version = spec[2], lib = lib, upgrade = "never")
+        } else if (spec[1] %in% rownames(available) && available[spec[1], "Version"] == spec[2]) {
+            install.packages(spec[1], lib = lib)
+        } else {
+            message("Cannot install ", spec[1], " ", spec[2], " without the remotes package: the repository only has the current version")
+        }
+    }, error = function(e) message(conditionMessage(e)))
+}
+installed <- installed.packages(lib.loc = lib)
+found <- vapply(specs, function(spec) if (spec[1] %in% rownames(installed)) installed[spec[1], "Version"] else "not installed", "")
+wanted <- vapply(specs, function(spec) spec[2], "")
+wrong <- found != wanted
+if (any(wrong)) {
+    pkgs <- vapply(specs, function(spec) spec[1], "")
+    message("Not at the recorded version: ", paste0(pkgs[wrong], " ", wanted[wrong], " (", found[wrong], ")", collapse = ", "))
+    quit(status = 1)
+}
+`;
+
+// Lists distributions installed in the Python user site (PYTHONUSERBASE) as JSON
+const PYTHON_LIST = `
+import json, os, site
+from importlib import metadata
+
+user_site = os.path.realpath(site.getusersitepackages())
+user, base = [], {}
+for dist in metadata.distributions():
+    name = dist.metadata["Name"]
+    location = os.path.realpath(str(dist.locate_file("")))
+    if location.startswith(user_site):
+        size = 0
+        for f in dist.files or []:
+            try:
+                size += os.path.getsize(dist.locate_file(f))
+            except OSError:
+                pass
+        user.append({"name": name, "version": dist.version, "size": size, "location": user_site})
+    else:
+        base.setdefault(name.lower(), dist.version)
+for p in user:
+    p["shadows"] = base.get(p["name"].lower(), "")
+print(json.dumps(user))
+`;
+
+const PYTHON_REMOVE = `
+import os, subprocess, sys
+names = os.environ["RSM_PACKAGES"].split("\\t")
+sys.exit(subprocess.call([sys.executable, "-m", "pip", "uninstall", "-y", *names]))
+`;
+
+const PYTHON_INSTALL = `
+import os, subprocess, sys
+specs = os.environ["RSM_PACKAGES"].split("\\t")
+sys.exit(subprocess.call([sys.executable, "-m", "pip", "install", "--user", *specs]))
+`;
+
+function execScript(profile, command, script, extraEnv = {}) {
+    return runtime.exec(compose.containerName(profile), command, {
+        user: profile.remoteUser,
+        timeout: 120000,
+        containerEnv: { RSM_SCRIPT: script, ...extraEnv }
+    });
+}
+
+async function listRPackages(profile) {
+    const result = await execScript(profile, 'Rscript -e "$RSM_SCRIPT"', R_LIST);
+    if (result.code !== 0) {
+        throw runner.resultError(result, 'Listing R packages');
+    }
+    return result.stdout.split(/\r?\n/).filter(line => line.includes('\t')).map(line => {
+        const [name, version, size, shadows, location] = line.split('\t');
+        return { language: 'r', name, version, size: Number(size), shadows, location };
+    });
+}
+
+async function listPythonPackages(profile) {
+    const result = await execScript(profile, 'python3 -c "$RSM_SCRIPT"', PYTHON_LIST);
+    if (result.code !== 0) {
+        throw runner.resultError(result, 'Listing Python packages');
+    }
+    return JSON.parse(result.stdout.trim() || '[]').map(p => ({ language: 'python', ...p }));
+}
+
+// User-installed packages for both languages. A language that fails to list is reported
+// in errors instead of failing the whole listing.
+async function listPackages(profile) {
+    const errors = {};
+    const [r, python] = await Promise.all([
+        listRPackages(profile).catch(error => { errors.r = error.message; return []; }),
+        listPythonPackages(profile).catch(error => { errors.python = error.message; return []; })
+    ]);
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return { r: r.sort(byName), python: python.sort(byName), errors };
+}
+
+// Uninstall packages; R packages are removed from the library they were listed in
+async function uninstall(profile, packages) {
+    const failures = [];
+    const rByLibrary = new Map();
+    for (const p of packages.filter(p => p.language === 'r')) {
+        rByLibrary.set(p.location, [...(rByLibrary.get(p.location) || []), p.name]);
+    }
+    for (const [library, names] of rByLibrary) {
+        const result = await execScript(profile, 'Rscript -e "$RSM_SCRIPT"', R_REMOVE, {
+            RSM_PACKAGES: [library, ...names].join('\t')
+        });
+        if (result.code !== 0) {
+            failures.push(runner.resultError(result, 'Removing R packages').message);
+        }
+    }
+
+    const python = packages.filter(p => p.language === 'python').map(p => p.name);
+    if (python.length > 0) {
+        const result = await execScript(profile, 'python3 -c "$RSM_SCRIPT"', PYTHON_REMOVE, {
+            RSM_PACKAGES: python.join('\t')
+        });
+        if (result.code !== 0) {
+            failures.push(runner.resultError(result, 'Uninstalling Python packages').message);
+        }
+    }
+    if (failures.length > 0) {
+        throw new Error(failures.join('\n'));
+    }
+}
+
+// Install packages at the given versions into the user libraries. Output goes to onOutput as it arrives.
+async function install(profile, packages, onOutput) {
+    const failures = [];
+    const specs = language => packages.filter(p => p.language === language).map(p => `${p.name}==${p.version}`);
+    const steps = [
+        { specs: specs('r'), command: 'Rscript -e "$RSM_SCRIPT"', script: R_INSTALL, what: 'Installing R packages' },
+        { specs: specs('python'), command: 'python3 -c "$RSM_SCRIPT"', script: PYTHON_INSTALL, what: 'Installing Python packages' }
+    ];
+    for (const step of steps.filter(s => s.specs.length > 0)) {
+        const result = await runtime.exec(compose.containerName(profile), step.command, {
+            user: profile.remoteUser,
+            timeout: 30 * 60000,
+            containerEnv: { RSM_SCRIPT: step.script, RSM_PACKAGES: step.specs.join('\t') },
+            onStdout: onOutput,
+            onStderr: onOutput
+        });
+        if (result.code !== 0) {
+            failures.push(runner.resultError(result, step.what).message.split('\n').slice(-5).join('\n'));
+        }
+    }
+    if (failures.length > 0) {
+        throw new Error(failures.join('\n'));
+    }
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+module.exports = {
+    listPackages,
+    uninstall,
+    install,
+    formatSize
+};
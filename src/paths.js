@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const compose = require('./compose');
+
+// Expand ${VAR}, ${VAR:-default}, ${VAR-default} and $VAR the way docker-compose does
+function interpolate(value, env) {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g,
+        (match, name, op, fallback, bare) => {
+            const key = name || bare;
+            const current = env[key];
+            if (op === ':-' && !current) {
+                return fallback;
+            }
+            if (op === '-' && current === undefined) {
+                return fallback;
+            }
+            return current || '';
+        });
+}
+
+// Split a short-syntax volume entry ("src:target[:mode]") without breaking Windows drive letters
+function splitVolume(entry) {
+    const parts = entry.split(':');
+    if (/^[A-Za-z]$/.test(parts[0]) && parts.length > 2) {
+        parts.splice(0, 2, `${parts[0]}:${parts[1]}`);
+    }
+    return {
+        source: parts.length > 1 ? parts[0] : undefined,
+        target: parts.length > 1 ? parts[1] : parts[0],
+        mode: parts[2]
+    };
+}
+
+function isHostPath(source) {
+    return /^([/.~]|[A-Za-z]:[\\/])/.test(source);
+}
+
+// Read the bind mounts for a service from one or more compose files.
+// Later files win when they mount something onto the same container path.
+function parseVolumes(composeFiles, service, env = process.env) {
+    const vars = { HOME: os.homedir(), ...env };
+    const baseDir = path.dirname(composeFiles[0]);
+    const mounts = new Map();
+
+    for (const file of composeFiles) {
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+        let volumes = compose.loadFile(file).services?.[service]?.volumes || [];
+        if (!Array.isArray(volumes)) {
+            // !override replaces the volumes from earlier files, !reset removes them
+            mounts.clear();
+            volumes = volumes.tag === '!override' ? volumes.value : [];
+        }
+        for (const volume of volumes) {
+            let entry;
+            if (typeof volume === 'string') {
+                entry = splitVolume(interpolate(volume, vars));
+            } else if (volume.type === 'bind') {
+                entry = {
+                    source: interpolate(String(volume.source), vars),
+                    target: interpolate(String(volume.target), vars),
+                    mode: volume.read_only ? 'ro' : undefined
+                };
+            } else {
+                continue;
+            }
+            if (!entry.source || !isHostPath(entry.source)) {
+                // Named volumes and anonymous volumes have no host side
+                continue;
+            }
+            const source = entry.source.replace(/^~(?=$|[\\/])/, os.homedir());
+            mounts.set(entry.target, {
+                source: path.resolve(baseDir, source),
+                target: path.posix.normalize(entry.target),
+                readOnly: entry.mode === 'ro'
+            });
+        }
+    }
+    return Array.from(mounts.values());
+}
+
+// Return the part of `child` below `parent`, or undefined when it is not inside it
+function relativeInside(parent, child, pathApi) {
+    const rel = pathApi.relative(parent, child);
+    if (rel === '') {
+        return [];
+    }
+    if (rel === '..' || rel.startsWith(`..${pathApi.sep}`) || pathApi.isAbsolute(rel)) {
+        return undefined;
+    }
+    return rel.split(pathApi.sep);
+}
+
+// Translate paths between host and container using the given bind mounts.
+// The most specific mount wins, so nested mounts map correctly.
+function createPathMapper(mounts) {
+    const caseInsensitive = process.platform === 'win32' || process.platform === 'darwin';
+    const normHost = p => caseInsensitive ? path.resolve(p).toLowerCase() : path.resolve(p);
+
+    function toContainer(hostPath) {
+        let best;
+        for (const mount of mounts) {
+            const parts = relativeInside(normHost(mount.source), normHost(hostPath), path);
+            if (parts && (!best || mount.source.length > best.mount.source.length)) {
+                // Keep the original casing of the selected folder
+                const rel = path.resolve(hostPath).slice(path.resolve(mount.source).length);
+                best = { mount, parts: rel.split(/[\\/]/).filter(Boolean) };
+            }
+        }
+        return best ? path.posix.join(best.mount.target, ...best.parts) : undefined;
+    }
+
+    function toHost(containerPath) {
+        let best;
+        for (const mount of mounts) {
+            const parts = relativeInside(mount.target, path.posix.normalize(containerPath), path.posix);
+            if (parts && (!best || mount.target.length > best.mount.target.length)) {
+                best = { mount, parts };
+            }
+        }
+        return best ? path.join(best.mount.source, ...best.parts) : undefined;
+    }
+
+    return {
+        mounts,
+        toContainer,
+        toHost
+    };
+}
+
+// Suggest where a host folder that is not mounted yet should appear in the container
+function suggestMountTarget(hostPath) {
+    const name = path.basename(hostPath).replace(/[^A-Za-z0-9._-]/g, '_') || 'host';
+    return `/mnt/${name}`;
+}
+
+module.exports = {
+    interpolate,
+    parseVolumes,
+    createPathMapper,
+    suggestMountTarget
+};
@@ -0,0 +1,140 @@
+const vscode = require('vscode');
+const net = require('net');
+const { exec } = require('child_process');
+const compose = require('./compose');
+const runtime = require('./runtime');
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+// Host port remaps from settings, keyed by container port
+function getRemaps() {
+    return getConfig().get('portMappings') || {};
+}
+
+async function saveRemaps(remaps) {
+    await getConfig().update('portMappings', remaps, vscode.ConfigurationTarget.Global);
+}
+
+// Parse a compose port entry ("127.0.0.1:2222:22", "8000:8000", "8000/udp" or long syntax)
+function parsePort(entry) {
+    if (typeof entry === 'object') {
+        return {
+            ip: entry.host_ip || '',
+            published: Number(entry.published || entry.target),
+            target: Number(entry.target),
+            protocol: entry.protocol || 'tcp'
+        };
+    }
+    const [spec, protocol = 'tcp'] = String(entry).split('/');
+    const parts = spec.split(':');
+    const target = Number(parts.pop());
+    const published = parts.length > 0 ? Number(parts.pop()) : target;
+    return { ip: parts.join(':'), published, target, protocol };
+}
+
+function formatPort(port) {
+    const spec = port.ip ? `${port.ip}:${port.published}:${port.target}` : `${port.published}:${port.target}`;
+    return port.protocol === 'tcp' ? spec : `${spec}/${port.protocol}`;
+}
+
+// Port mappings from the shipped compose file with the remaps from settings applied
+function getPortMappings(profile) {
+    const remaps = getRemaps();
+    const config = compose.loadService([profile.composeFile], profile.service);
+    return (config.ports || []).map(parsePort).map(port => {
+        const remapped = remaps[String(port.target)];
+        return remapped ? { ...port, published: Number(remapped), remapped: true } : port;
+    });
+}
+
+// Override entry replacing the shipped port list, or undefined when nothing is remapped
+function overridePorts(profile) {
+    const mappings = getPortMappings(profile);
+    if (!mappings.some(port => port.remapped)) {
+        return undefined;
+    }
+    return compose.override(mappings.map(formatPort));
+}
+
+// Host port that reaches a container port, honouring remaps
+function hostPort(profile, containerPort) {
+    const port = getPortMappings(profile).find(p => p.target === Number(containerPort));
+    return port ? port.published : Number(containerPort);
+}
+
+function isPortFree(port, host) {
+    return new Promise(resolve => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.once('listening', () => server.close(() => resolve(true)));
+        server.listen(port, host || '0.0.0.0');
+    });
+}
+
+function execOutput(command) {
+    return new Promise(resolve => {
+        exec(command, (error, stdout) => resolve(error ? '' : stdout.toString().trim()));
+    });
+}
+
+// Describe what holds a port: a container if docker knows about it, otherwise the process
+async function describeHolder(port) {
+    const containers = await runtime.ps(`publish=${port}`).catch(() => []);
+    if (containers.length > 0) {
+        return `container ${containers.join(', ')}`;
+    }
+    if (process.platform === 'win32') {
+        const netstat = await execOutput(`netstat -ano -p tcp | findstr ":${port} "`);
+        const pid = netstat.split(/\r?\n/).map(l => l.trim().split(/\s+/)).find(cols => cols[3] === 'LISTENING')?.[4];
+        return pid ? `process ${pid}` : 'an unknown process';
+    }
+    const lsof = await execOutput(`lsof -nP -iTCP:${port} -sTCP:LISTEN`);
+    const row = lsof.split(/\r?\n/)[1];
+    if (row) {
+        const [command, pid] = row.split(/\s+/);
+        return `process ${command} (pid ${pid})`;
+    }
+    return 'an unknown process';
+}
+
+async function findFreePort(start, host, exclude) {
+    for (let port = start; port < start + 100 && port <= 65535; port++) {
+        if (!exclude.has(port) && await isPortFree(port, host)) {
+            return port;
+        }
+    }
+    return undefined;
+}
+
+// Probe every published port and suggest a free alternative for each one that is taken
+async function findConflicts(profile) {
+    const mappings = getPortMappings(profile).filter(port => port.protocol === 'tcp');
+    const used = new Set(mappings.map(port => port.published));
+    const conflicts = [];
+    for (const port of mappings) {
+        if (await isPortFree(port.published, port.ip)) {
+            continue;
+        }
+        const suggestion = await findFreePort(port.published + 1, port.ip, used);
+        if (suggestion) {
+            used.add(suggestion);
+        }
+        conflicts.push({
+            ...port,
+            holder: await describeHolder(port.published),
+            suggestion
+        });
+    }
+    return conflicts;
+}
+
+module.exports = {
+    getRemaps,
+    saveRemaps,
+    getPortMappings,
+    overridePorts,
+    hostPort,
+    findConflicts
+};
@@ -0,0 +1,109 @@
+const vscode = require('vscode');
+const path = require('path');
+const os = require('os');
+
+// Profiles shipped with the extension, one per supported architecture
+const BUILTIN_PROFILES = {
+    'rsm-msba-arm': {
+        description: 'RSM MSBA container for ARM (Apple Silicon)',
+        image: 'vnijs/rsm-msba-k8s-arm',
+        composeFile: 'docker-compose-k8s-arm.yml'
+    },
+    'rsm-msba-intel': {
+        description: 'RSM MSBA container for Intel/AMD',
+        image: 'vnijs/rsm-msba-k8s-intel',
+        composeFile: 'docker-compose-k8s-intel.yml'
+    }
+};
+
+const PROFILE_KEYS = ['image', 'tag', 'service', 'remoteUser', 'composeFile'];
+
+const DEFAULTS = {
+    tag: 'latest',
+    service: 'rsm-msba',
+    remoteUser: 'jovyan'
+};
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+// Name of the built-in profile matching the host architecture
+function defaultProfileName() {
+    return os.arch() === 'arm64' ? 'rsm-msba-arm' : 'rsm-msba-intel';
+}
+
+// Built-in profiles merged with the user-defined ones from settings
+function getProfiles() {
+    const userProfiles = getConfig().get('profiles') || {};
+    const profiles = {};
+    for (const [name, profile] of Object.entries(BUILTIN_PROFILES)) {
+        profiles[name] = { ...profile, builtin: true };
+    }
+    for (const [name, profile] of Object.entries(userProfiles)) {
+        profiles[name] = { ...(profiles[name] || {}), ...profile, builtin: false };
+    }
+    return profiles;
+}
+
+function activeProfileName() {
+    return getConfig().get('profile') || defaultProfileName();
+}
+
+// Resolve the active profile into the settings every command works from.
+// Precedence: named profile > top-level rsm-vscode.* settings > built-in arch defaults.
+function resolveProfile(context) {
+    const config = getConfig();
+    const profiles = getProfiles();
+    const name = activeProfileName();
+    if (!profiles[name]) {
+        throw new Error(`Unknown container profile "${name}". Check the rsm-vscode.profiles setting.`);
+    }
+
+    const base = BUILTIN_PROFILES[defaultProfileName()];
+    const selected = profiles[name];
+    const resolved = { name, description: selected.description || '' };
+    for (const key of PROFILE_KEYS) {
+        const fromProfile = selected.builtin ? undefined : selected[key];
+        resolved[key] = fromProfile || config.get(key) || selected[key] || base[key] || DEFAULTS[key];
+    }
+
+    // Relative compose paths point at the files shipped with the extension
+    const composeFile = resolved.composeFile.replace(/^~(?=$|[\\/])/, os.homedir());
+    resolved.composeFile = path.isAbsolute(composeFile) ?
+        composeFile : path.join(context.extensionPath, 'docker-compose', composeFile);
+    // Optional services are toggled per profile in rsm-vscode.sidecars, or listed in the profile itself
+    resolved.sidecars = (config.get('sidecars') || {})[name] || selected.sidecars || [];
+    resolved.imageRef = `${resolved.image}:${resolved.tag}`;
+    resolved.overrideFile = path.join(context.globalStorageUri.fsPath, `${name}.override.yml`);
+    resolved.composeFiles = [resolved.composeFile, resolved.overrideFile];
+    return resolved;
+}
+
+// Let the user switch profiles; returns the selected name or undefined
+async function pickProfile() {
+    const profiles = getProfiles();
+    const current = activeProfileName();
+    const items = Object.entries(profiles).map(([name, profile]) => ({
+        label: name === current ? `$(check) ${name}` : name,
+        description: profile.image ? `${profile.image}:${profile.tag || getConfig().get('tag') || DEFAULTS.tag}` : '',
+        detail: profile.description,
+        name
+    }));
+
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: `Select container profile (current: ${current})`
+    });
+    if (!selected) {
+        return undefined;
+    }
+    await getConfig().update('profile', selected.name, vscode.ConfigurationTarget.Global);
+    return selected.name;
+}
+
+module.exports = {
+    BUILTIN_PROFILES,
+    getProfiles,
+    resolveProfile,
+    pickProfile
+};
@@ -0,0 +1,139 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_KEY = 'recentProjects';
+
+// Entries are { path, name, pinned, lastUsed } with path being the container path
+function getRecent(memento) {
+    const entries = memento.get(STATE_KEY) || [];
+    return entries.slice().sort((a, b) => {
+        if (a.pinned !== b.pinned) {
+            return a.pinned ? -1 : 1;
+        }
+        return b.lastUsed - a.lastUsed;
+    });
+}
+
+async function save(memento, entries) {
+    // Pinned projects are always kept; unpinned ones are trimmed to the configured limit
+    const limit = vscode.workspace.getConfiguration('rsm-vscode').get('recentProjectsLimit') || 10;
+    const pinned = entries.filter(e => e.pinned);
+    const unpinned = entries.filter(e => !e.pinned).sort((a, b) => b.lastUsed - a.lastUsed).slice(0, limit);
+    await memento.update(STATE_KEY, [...pinned, ...unpinned]);
+}
+
+async function addRecent(memento, containerPath) {
+    const entries = getRecent(memento);
+    const existing = entries.find(e => e.path === containerPath);
+    if (existing) {
+        existing.lastUsed = Date.now();
+    } else {
+        entries.push({ path: containerPath, name: path.posix.basename(containerPath), pinned: false, lastUsed: Date.now() });
+    }
+    await save(memento, entries);
+}
+
+async function updateEntry(memento, containerPath, changes) {
+    const entries = getRecent(memento).map(e => e.path === containerPath ? { ...e, ...changes } : e);
+    await save(memento, entries);
+}
+
+async function removeRecent(memento, containerPath) {
+    await save(memento, getRecent(memento).filter(e => e.path !== containerPath));
+}
+
+const BUTTONS = {
+    pin: { iconPath: new vscode.ThemeIcon('pin'), tooltip: 'Pin' },
+    unpin: { iconPath: new vscode.ThemeIcon('pinned'), tooltip: 'Unpin' },
+    rename: { iconPath: new vscode.ThemeIcon('edit'), tooltip: 'Rename' },
+    remove: { iconPath: new vscode.ThemeIcon('close'), tooltip: 'Remove from list' }
+};
+
+// Quick pick entry for a recent project, or the "Browse for a folder..." entry
+/** @typedef {vscode.QuickPickItem & { entry?: Record<string, any>, localPath?: string, exists?: boolean, browse?: boolean }} RecentItem */
+
+// Quick pick of recent projects with pin, rename and remove buttons. Each entry is checked
+// on the host through `toHost`. Resolves { containerPath, localPath }, { browse: true }
+// when the user wants the folder dialog, or undefined when cancelled.
+function pickRecentProject(memento, toHost, options = {}) {
+    return new Promise(resolve => {
+        /** @type {vscode.QuickPick<RecentItem>} */
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.placeholder = options.placeholder || 'Select a project to open in the RSM container';
+        quickPick.matchOnDescription = true;
+
+        const refresh = () => {
+            const items = getRecent(memento).map(entry => {
+                const localPath = toHost(entry.path);
+                const exists = !!localPath && fs.existsSync(localPath);
+                return {
+                    label: `${entry.pinned ? '$(pinned) ' : ''}${entry.name}`,
+                    description: entry.path,
+                    detail: exists ? localPath : '$(warning) Not found on the host',
+                    buttons: [entry.pinned ? BUTTONS.unpin : BUTTONS.pin, BUTTONS.rename, BUTTONS.remove],
+                    entry,
+                    localPath,
+                    exists
+                };
+            });
+            items.push({ label: '$(folder-opened) Browse for a folder...', browse: true });
+            quickPick.items = items;
+        };
+
+        let result;
+        let renaming = false;
+        quickPick.onDidAccept(async () => {
+            const selected = quickPick.selectedItems[0];
+            if (!selected) {
+                return;
+            }
+            if (selected.browse) {
+                result = { browse: true };
+            } else if (!selected.exists) {
+                vscode.window.showWarningMessage(`${selected.entry.path} no longer exists on the host. Remove it from the list with the × button.`);
+                return;
+            } else {
+                result = { containerPath: selected.entry.path, localPath: selected.localPath };
+            }
+            quickPick.hide();
+        });
+
+        quickPick.onDidTriggerItemButton(async ({ item, button }) => {
+            const entry = item.entry;
+            if (button === BUTTONS.pin || button === BUTTONS.unpin) {
+                await updateEntry(memento, entry.path, { pinned: button === BUTTONS.pin });
+            } else if (button === BUTTONS.remove) {
+                await removeRecent(memento, entry.path);
+            } else if (button === BUTTONS.rename) {
+                // The input box replaces the quick pick, so reopen the list afterwards
+                renaming = true;
+                quickPick.hide();
+                const name = await vscode.window.showInputBox({ prompt: `Name for ${entry.path}`, value: entry.name });
+                if (name) {
+                    await updateEntry(memento, entry.path, { name });
+                }
+                resolve(pickRecentProject(memento, toHost, options));
+                return;
+            }
+            refresh();
+        });
+
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            if (!renaming) {
+                resolve(result);
+            }
+        });
+
+        refresh();
+        quickPick.show();
+    });
+}
+
+module.exports = {
+    getRecent,
+    addRecent,
+    removeRecent,
+    pickRecentProject
+};
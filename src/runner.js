@@ -0,0 +1,170 @@
+const { spawn } = require('child_process');
+
+// Grace period between SIGTERM and SIGKILL when stopping a command
+const KILL_GRACE_MS = 2000;
+
+// Stop a process in the container and, depth first, everything it started
+const KILL_TREE = 'kill_tree() { children=$(pgrep -P "$1"); kill -TERM "$1" 2>/dev/null; for child in $children; do kill_tree "$child"; done; }; kill_tree "$RSM_PID"';
+
+// Run a command without a shell and capture its output.
+// Resolves with { stdout, stderr, code, signal, timedOut, cancelled } whatever the exit code;
+// only rejects when the command cannot be started at all (e.g. it is not installed).
+// With options.keepStdinOpen the caller gets the child from options.onSpawn and writes stdin itself.
+// options.onStop runs, and is awaited, before the command is stopped on timeout or cancellation. Stream callbacks
+// with a flush() method (see lineSplitter) are flushed when the command ends.
+function run(command, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            cwd: options.cwd,
+            env: options.env ? { ...process.env, ...options.env } : process.env
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        let cancelled = false;
+        let timer;
+        let killTimer;
+
+        const stop = async () => {
+            await options.onStop?.();
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+        };
+
+        if (options.timeout) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                stop();
+            }, options.timeout);
+        }
+        const cancellation = options.token?.onCancellationRequested(() => {
+            cancelled = true;
+            stop();
+        });
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            cancellation?.dispose();
+        };
+
+        child.stdout.on('data', data => {
+            stdout += data.toString();
+            options.onStdout?.(data.toString());
+        });
+        child.stderr.on('data', data => {
+            stderr += data.toString();
+            options.onStderr?.(data.toString());
+        });
+        child.on('error', error => {
+            cleanup();
+            reject(error);
+        });
+        child.on('close', (code, signal) => {
+            cleanup();
+            options.onStdout?.flush?.();
+            options.onStderr?.flush?.();
+            resolve({ stdout, stderr, code, signal, timedOut, cancelled });
+        });
+
+        options.onSpawn?.(child);
+        if (options.input !== undefined) {
+            child.stdin.end(options.input);
+        } else if (!options.keepStdinOpen) {
+            child.stdin.end();
+        }
+    });
+}
+
+function shellQuote(text) {
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// Run a shell command in the RSM container through `docker exec` (or options.engine).
+// The extension is a UI extension, so its host never runs in the RSM container itself.
+// Without a tty, stopping the exec client leaves the command running in the container, so the
+// command first prints its pid and is killed in the container on timeout or cancellation.
+async function runInContainer(containerName, command, options = {}) {
+    const engine = options.engine || 'docker';
+    const userArgs = options.user ? ['-u', options.user] : [];
+    const args = ['exec', '-i', ...userArgs];
+    if (options.cwd) {
+        args.push('-w', options.cwd);
+    }
+    for (const [key, value] of Object.entries(options.containerEnv || {})) {
+        args.push('-e', `${key}=${value}`);
+    }
+    args.push(containerName, '/bin/sh', '-c', `echo $$; exec /bin/sh -c ${shellQuote(command)}`);
+
+    // Take the pid line off the front of the output
+    let pid;
+    let head = '';
+    const onStdout = data => {
+        if (pid === undefined) {
+            head += data;
+            const newline = head.indexOf('\n');
+            if (newline < 0) {
+                return;
+            }
+            pid = head.slice(0, newline).trim();
+            data = head.slice(newline + 1);
+            if (!data) {
+                return;
+            }
+        }
+        options.onStdout?.(data);
+    };
+    onStdout.flush = () => options.onStdout?.flush?.();
+    const onStop = async () => {
+        if (pid) {
+            await run(engine, ['exec', ...userArgs, '-e', `RSM_PID=${pid}`, containerName, '/bin/sh', '-c', KILL_TREE], { timeout: 10000 })
+                .catch(() => {});
+        }
+    };
+
+    // The working directory applies inside the container, not to the engine CLI itself
+    const result = await run(engine, args, { ...options, cwd: undefined, onStdout, onStop });
+    return pid === undefined ? result : { ...result, stdout: result.stdout.slice(result.stdout.indexOf('\n') + 1) };
+}
+
+// Collect streamed output into whole lines for onLine. Carriage returns count as line ends
+// too, since compose redraws its progress lines with them.
+// Call flush() on the result when the stream ends (run does this) to get a last unterminated line.
+function lineSplitter(onLine) {
+    let pending = '';
+    const onData = data => {
+        const parts = (pending + data).split(/\r\n|\r|\n/);
+        pending = parts.pop();
+        for (const part of parts) {
+            if (part.trim()) {
+                onLine(part.trimEnd());
+            }
+        }
+    };
+    onData.flush = () => {
+        if (pending.trim()) {
+            onLine(pending.trimEnd());
+        }
+        pending = '';
+    };
+    return onData;
+}
+
+// Turn a failed result into an Error with the most useful message available
+function resultError(result, what) {
+    if (result.timedOut) {
+        return new Error(`${what} timed out`);
+    }
+    if (result.cancelled) {
+        return new Error(`${what} was cancelled`);
+    }
+    return new Error(result.stderr.trim() || result.stdout.trim() || `${what} exited with code ${result.code}`);
+}
+
+module.exports = {
+    run,
+    runInContainer,
+    lineSplitter,
+    resultError
+};
@@ -0,0 +1,264 @@
+const vscode = require('vscode');
+const path = require('path');
+const runner = require('./runner');
+
+// Supported container runtimes, in the order auto-detection tries them
+const RUNTIMES = [
+    { id: 'docker', label: 'Docker Compose v2', engine: 'docker', compose: ['docker', 'compose'] },
+    { id: 'docker-compose', label: 'docker-compose v1', engine: 'docker', compose: ['docker-compose'] },
+    { id: 'podman', label: 'Podman', engine: 'podman', compose: ['podman', 'compose'] }
+];
+
+const DETECT_TIMEOUT = 10000;
+
+// First Docker Compose release that understands the !override and !reset merge tags
+const MERGE_TAGS_VERSION = '2.24';
+
+const DAEMON_ERRORS = /cannot connect to the docker daemon|is the docker daemon running|error during connect|unable to connect to podman|podman machine.*not running|connection refused/i;
+
+class RuntimeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuntimeError';
+    }
+}
+
+let cached;
+
+function parseVersion(output) {
+    const match = output.match(/\d+\.\d+(\.\d+)?/);
+    return match ? match[0] : output.trim();
+}
+
+// Only Docker Compose 2.24+ honours merge tags: docker-compose v1 rejects them and
+// podman-compose merges the tagged list into the original. Podman may delegate to Docker Compose.
+function supportsMergeTags(output) {
+    const match = output.match(/Docker Compose version v?(\d+)\.(\d+)/i);
+    if (!match) {
+        return false;
+    }
+    const [major, minor] = MERGE_TAGS_VERSION.split('.').map(Number);
+    return Number(match[1]) > major || (Number(match[1]) === major && Number(match[2]) >= minor);
+}
+
+async function probe(runtime) {
+    try {
+        const [engine, compose] = await Promise.all([
+            runner.run(runtime.engine, ['--version'], { timeout: DETECT_TIMEOUT }),
+            runner.run(runtime.compose[0], [...runtime.compose.slice(1), 'version'], { timeout: DETECT_TIMEOUT })
+        ]);
+        if (engine.code !== 0 || compose.code !== 0) {
+            return undefined;
+        }
+        return {
+            ...runtime,
+            engineVersion: parseVersion(engine.stdout),
+            composeVersion: parseVersion(compose.stdout),
+            mergeTags: supportsMergeTags(`${compose.stdout}\n${compose.stderr}`)
+        };
+    } catch (error) {
+        // Not installed
+        return undefined;
+    }
+}
+
+// Find the runtime to use, honouring the rsm-vscode.runtime setting. Cached until reset().
+async function detect(force = false) {
+    if (cached && !force) {
+        return cached;
+    }
+    const setting = vscode.workspace.getConfiguration('rsm-vscode').get('runtime') || 'auto';
+    const candidates = setting === 'auto' ? RUNTIMES : RUNTIMES.filter(r => r.id === setting);
+    for (const candidate of candidates) {
+        const found = await probe(candidate);
+        if (found) {
+            cached = found;
+            return found;
+        }
+    }
+    if (setting === 'auto') {
+        throw new RuntimeError('No container runtime found. Install Docker Desktop (or the docker compose plugin) or Podman and make sure it is on your PATH.');
+    }
+    throw new RuntimeError(`The container runtime "${setting}" selected in the rsm-vscode.runtime setting is not installed or not on your PATH.`);
+}
+
+function reset() {
+    cached = undefined;
+}
+
+function daemonMessage(runtime) {
+    return runtime.engine === 'podman' ?
+        'Podman is installed but not reachable. Start it with "podman machine start" and try again.' :
+        'Docker is installed but the daemon is not running. Start Docker Desktop and try again.';
+}
+
+// Throw a clear error for a failed result; daemon problems get a dedicated message
+function check(runtime, result, what) {
+    if (result.code === 0) {
+        return result;
+    }
+    if (DAEMON_ERRORS.test(result.stderr)) {
+        throw new RuntimeError(daemonMessage(runtime));
+    }
+    throw runner.resultError(result, what);
+}
+
+async function checkDaemon() {
+    const runtime = await detect();
+    const result = await runner.run(runtime.engine, ['info', '--format', '{{json .ServerVersion}}'], { timeout: 20000 });
+    if (result.code !== 0) {
+        throw new RuntimeError(`${daemonMessage(runtime)} (${result.stderr.trim() || `exit code ${result.code}`})`);
+    }
+    return JSON.parse(result.stdout.trim() || '""');
+}
+
+// Run the container engine CLI (docker or podman) with the given arguments
+async function engine(args, options = {}) {
+    const runtime = await detect();
+    return runner.run(runtime.engine, args, options);
+}
+
+// Run compose with the profile's compose files from the compose file directory
+async function compose(profile, args, options = {}) {
+    const runtime = await detect();
+    const files = profile.composeFiles.flatMap(file => ['-f', file]);
+    return runner.run(runtime.compose[0], [...runtime.compose.slice(1), ...files, ...args], {
+        cwd: path.dirname(profile.composeFile),
+        ...options
+    });
+}
+
+async function up(profile, options = {}) {
+    const runtime = await detect();
+    return check(runtime, await compose(profile, ['up', '-d', '--remove-orphans'], options), 'compose up');
+}
+
+async function down(profile, options = {}) {
+    const runtime = await detect();
+    return check(runtime, await compose(profile, ['down'], options), 'compose down');
+}
+
+async function logs(profile, args = [], options = {}) {
+    const runtime = await detect();
+    return check(runtime, await compose(profile, ['logs', ...args], options), 'compose logs');
+}
+
+async function pull(ref, options = {}) {
+    const runtime = await detect();
+    return check(runtime, await engine(['pull', ref], options), `pull ${ref}`);
+}
+
+// Inspect a container; resolves undefined when it does not exist
+async function inspect(name) {
+    const runtime = await detect();
+    const result = await engine(['inspect', '--type', 'container', '--format', '{{json .}}', name], { timeout: 15000 });
+    if (result.code !== 0 && /no such (object|container)/i.test(result.stderr)) {
+        return undefined;
+    }
+    return JSON.parse(check(runtime, result, `inspect ${name}`).stdout);
+}
+
+// Inspect an image; resolves undefined when it is not present locally
+async function inspectImage(ref) {
+    const runtime = await detect();
+    const result = await engine(['image', 'inspect', '--format', '{{json .}}', ref], { timeout: 15000 });
+    if (result.code !== 0 && /no such (object|image)|image not known/i.test(result.stderr)) {
+        return undefined;
+    }
+    return JSON.parse(check(runtime, result, `inspect ${ref}`).stdout);
+}
+
+async function removeImage(id) {
+    const runtime = await detect();
+    return check(runtime, await engine(['image', 'rm', id], { timeout: 60000 }), `remove image ${id}`);
+}
+
+async function top(name) {
+    const runtime = await detect();
+    return check(runtime, await engine(['top', name], { timeout: 15000 }), `top ${name}`).stdout;
+}
+
+// Names of running containers matching a `ps --filter` expression
+async function ps(filter) {
+    const runtime = await detect();
+    const result = check(runtime, await engine(['ps', '--filter', filter, '--format', '{{.Names}}'], { timeout: 15000 }), 'ps');
+    return result.stdout.split(/\r?\n/).filter(Boolean);
+}
+
+// Copy files between the host and a container (`container:path` on either side)
+async function copy(source, target, options = {}) {
+    const runtime = await detect();
+    return check(runtime, await engine(['cp', source, target], options), `copy ${source}`);
+}
+
+// Run a throwaway container from an image: runArgs go before the image, args after it
+async function runOnce(image, runArgs, args, options = {}) {
+    const runtime = await detect();
+    return check(runtime, await engine(['run', '--rm', ...runArgs, image, ...args], options), `run ${image}`);
+}
+
+async function removeVolume(name) {
+    const runtime = await detect();
+    return check(runtime, await engine(['volume', 'rm', name], { timeout: 60000 }), `remove volume ${name}`);
+}
+
+// Poll inspect until the container runs and, when its image has a healthcheck, reports healthy.
+// Rejects when it exits or turns unhealthy, after options.timeout ms or when options.token is
+// cancelled. options.onStatus receives each intermediate state.
+async function waitForReady(name, options = {}) {
+    const deadline = Date.now() + (options.timeout || 120000);
+    for (;;) {
+        if (options.token?.isCancellationRequested) {
+            throw new RuntimeError(`Waiting for ${name} was cancelled`);
+        }
+        const info = await inspect(name);
+        const state = info?.State;
+        const health = state?.Health?.Status;
+        if (state?.Running && (!health || health === 'healthy')) {
+            return info;
+        }
+        if (health === 'unhealthy') {
+            const last = state.Health.Log?.[state.Health.Log.length - 1]?.Output?.trim();
+            throw new RuntimeError(`${name} is unhealthy${last ? `: ${last}` : ''}`);
+        }
+        if (state?.Status === 'exited' || state?.Status === 'dead') {
+            throw new RuntimeError(`${name} exited with code ${state.ExitCode}. Check "RSM: Show Container Logs" for details.`);
+        }
+        if (Date.now() > deadline) {
+            throw new RuntimeError(`${name} did not become ready within ${Math.round((options.timeout || 120000) / 1000)} seconds`);
+        }
+        options.onStatus?.(health ? `${state.Status}, ${health}` : state?.Status || 'not created yet');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Run a shell command in a container through the detected engine
+async function exec(containerName, command, options = {}) {
+    const runtime = await detect();
+    return runner.runInContainer(containerName, command, { engine: runtime.engine, ...options });
+}
+
+module.exports = {
+    RUNTIMES,
+    MERGE_TAGS_VERSION,
+    RuntimeError,
+    detect,
+    reset,
+    checkDaemon,
+    engine,
+    compose,
+    up,
+    down,
+    logs,
+    pull,
+    inspect,
+    inspectImage,
+    removeImage,
+    top,
+    ps,
+    copy,
+    runOnce,
+    removeVolume,
+    waitForReady,
+    exec
+};
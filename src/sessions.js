@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared between the extension and the detached auto-stop watcher, so no vscode here.
+// Every open window refreshes <dir>/<id>.json; a file that is not refreshed is stale.
+const HEARTBEAT_MS = 30000;
+const STALE_MS = 3 * HEARTBEAT_MS;
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+// Sessions of the open windows; stale files left by crashed windows are removed
+function listSessions(dir) {
+    let names;
+    try {
+        names = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    } catch (error) {
+        return [];
+    }
+    const sessions = [];
+    for (const name of names) {
+        const file = path.join(dir, name);
+        try {
+            const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (Date.now() - session.updated < STALE_MS && processAlive(session.pid)) {
+                sessions.push(session);
+                continue;
+            }
+        } catch (error) {
+            // Half-written or unreadable: treat as stale
+        }
+        fs.rmSync(file, { force: true });
+    }
+    return sessions;
+}
+
+function attachedTo(sessions, container) {
+    return sessions.filter(session => session.attached && session.container === container);
+}
+
+module.exports = {
+    HEARTBEAT_MS,
+    STALE_MS,
+    listSessions,
+    attachedTo
+};
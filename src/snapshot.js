@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const runtime = require('./runtime');
+const compose = require('./compose');
+const packages = require('./packages');
+
+const LOCKFILE = 'rsm-environment.lock.json';
+const LOCKFILE_VERSION = 1;
+
+function lockfilePath(projectFolder) {
+    return path.join(projectFolder, LOCKFILE);
+}
+
+// Image id and registry digest of the image the running container was created from
+async function containerImage(profile) {
+    const info = await runtime.inspect(compose.containerName(profile));
+    if (!info?.State?.Running) {
+        throw new Error('The RSM container is not running. Start it with "RSM: Attach to Container" first.');
+    }
+    const image = await runtime.inspectImage(info.Image);
+    return {
+        ref: info.Config.Image,
+        id: info.Image,
+        digest: (image?.RepoDigests || []).map(d => d.split('@')[1])[0] || '',
+        architecture: image?.Architecture || ''
+    };
+}
+
+// Both package lists, failing when either language could not be listed
+async function listUserPackages(profile) {
+    const listed = await packages.listPackages(profile);
+    const failed = Object.entries(listed.errors);
+    if (failed.length > 0) {
+        throw new Error(failed.map(([language, message]) => `${language}: ${message}`).join('\n'));
+    }
+    return listed;
+}
+
+// Record the image, the profile and the user-installed R and Python packages
+async function createSnapshot(profile) {
+    const image = await containerImage(profile);
+    const listed = await listUserPackages(profile);
+    const entry = p => ({ name: p.name, version: p.version });
+    return {
+        version: LOCKFILE_VERSION,
+        created: new Date().toISOString(),
+        profile: {
+            name: profile.name,
+            image: profile.image,
+            tag: profile.tag,
+            service: profile.service
+        },
+        image,
+        r: listed.r.map(entry),
+        python: listed.python.map(entry)
+    };
+}
+
+function writeSnapshot(projectFolder, snapshot) {
+    const file = lockfilePath(projectFolder);
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+    return file;
+}
+
+function readSnapshot(projectFolder) {
+    const file = lockfilePath(projectFolder);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No ${LOCKFILE} in ${projectFolder}. Run "RSM: Snapshot Environment" first.`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (snapshot.version !== LOCKFILE_VERSION) {
+        throw new Error(`${file} has unsupported version ${snapshot.version}`);
+    }
+    return snapshot;
+}
+
+// Compare a snapshot with the container: packages to install (missing or at another
+// version) and whether the image differs from the one recorded
+async function compareSnapshot(profile, snapshot) {
+    const image = await containerImage(profile);
+    const listed = await listUserPackages(profile);
+    const toInstall = [];
+    for (const language of ['r', 'python']) {
+        const installed = new Map(listed[language].map(p => [p.name.toLowerCase(), p.version]));
+        for (const p of snapshot[language] || []) {
+            const version = installed.get(p.name.toLowerCase());
+            if (version !== p.version) {
+                toInstall.push({ language, name: p.name, version: p.version, installed: version });
+            }
+        }
+    }
+    const imageChanged = snapshot.image.digest ?
+        snapshot.image.digest !== image.digest :
+        snapshot.image.id !== image.id;
+    return { image, toInstall, imageChanged };
+}
+
+module.exports = {
+    LOCKFILE,
+    createSnapshot,
+    writeSnapshot,
+    readSnapshot,
+    compareSnapshot
+};
@@ -0,0 +1,188 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runtime = require('./runtime');
+const runner = require('./runner');
+const compose = require('./compose');
+const ports = require('./ports');
+
+const REMOTE_SSH_EXTENSION = 'ms-vscode-remote.remote-ssh';
+
+// Host alias of the managed block in the SSH config
+const SSH_HOST = 'rsm-msba';
+
+const DEFAULT_KEY = path.join(os.homedir(), '.ssh', 'rsm-msba_ed25519');
+
+const BLOCK_START = `# >>> ${SSH_HOST} (managed by rsm-vscode) >>>`;
+const BLOCK_END = `# <<< ${SSH_HOST} (managed by rsm-vscode) <<<`;
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+function attachMode() {
+    return getConfig().get('attachMode') || 'devContainers';
+}
+
+function expandHome(file) {
+    return file.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// The SSH config Remote-SSH reads: its remote.SSH.configFile setting or ~/.ssh/config
+function sshConfigFile() {
+    const configured = vscode.workspace.getConfiguration('remote.SSH').get('configFile');
+    return configured ? expandHome(configured) : path.join(os.homedir(), '.ssh', 'config');
+}
+
+function remoteSshInstalled() {
+    return !!vscode.extensions.getExtension(REMOTE_SSH_EXTENSION);
+}
+
+// Private key for the container: the rsm-vscode.sshKey setting, the default key, or a new or
+// existing key the user picks. Resolves undefined when cancelled.
+async function ensureKeyPair(log) {
+    const configured = getConfig().get('sshKey');
+    if (configured) {
+        const key = expandHome(configured);
+        if (!fs.existsSync(key) || !fs.existsSync(`${key}.pub`)) {
+            throw new Error(`The key ${key} from the rsm-vscode.sshKey setting (or its .pub file) does not exist`);
+        }
+        return key;
+    }
+    if (fs.existsSync(DEFAULT_KEY) && fs.existsSync(`${DEFAULT_KEY}.pub`)) {
+        return DEFAULT_KEY;
+    }
+
+    const choice = await vscode.window.showQuickPick([
+        { label: 'Generate a new key', description: DEFAULT_KEY, generate: true },
+        { label: 'Choose an existing key...', description: 'A private key with a matching .pub file' }
+    ], { placeHolder: 'SSH key to log in to the RSM container' });
+    if (!choice) {
+        return undefined;
+    }
+    if (choice.generate) {
+        fs.mkdirSync(path.dirname(DEFAULT_KEY), { recursive: true, mode: 0o700 });
+        const result = await runner.run('ssh-keygen', ['-t', 'ed25519', '-N', '', '-C', `rsm-vscode@${os.hostname()}`, '-f', DEFAULT_KEY], { timeout: 30000 });
+        if (result.code !== 0) {
+            throw runner.resultError(result, 'ssh-keygen');
+        }
+        log(`Generated SSH key ${DEFAULT_KEY}`);
+        return DEFAULT_KEY;
+    }
+
+    const picked = await vscode.window.showOpenDialog({
+        defaultUri: vscode.Uri.file(path.join(os.homedir(), '.ssh')),
+        canSelectMany: false,
+        openLabel: 'Use Key'
+    });
+    if (!picked) {
+        return undefined;
+    }
+    const key = picked[0].fsPath.replace(/\.pub$/, '');
+    if (!fs.existsSync(`${key}.pub`)) {
+        throw new Error(`${key}.pub not found next to the private key`);
+    }
+    await getConfig().update('sshKey', key, vscode.ConfigurationTarget.Global);
+    return key;
+}
+
+// Add the public key to the remote user's authorized_keys, once, and make sure sshd runs
+async function installPublicKey(profile, key) {
+    const name = compose.containerName(profile);
+    const publicKey = fs.readFileSync(`${key}.pub`, 'utf8').trim();
+    const home = `/home/${profile.remoteUser}`;
+    const script = [
+        `mkdir -p ${home}/.ssh && chmod 700 ${home}/.ssh`,
+        `touch ${home}/.ssh/authorized_keys && chmod 600 ${home}/.ssh/authorized_keys`,
+        `grep -qxF "$RSM_SSH_KEY" ${home}/.ssh/authorized_keys || echo "$RSM_SSH_KEY" >> ${home}/.ssh/authorized_keys`
+    ].join(' && ');
+    const result = await runtime.exec(name, script, {
+        user: profile.remoteUser,
+        timeout: 30000,
+        containerEnv: { RSM_SSH_KEY: publicKey }
+    });
+    if (result.code !== 0) {
+        throw runner.resultError(result, 'Installing the SSH key');
+    }
+
+    const sshd = await runtime.exec(name, 'pgrep -x sshd > /dev/null || { mkdir -p /run/sshd && /usr/sbin/sshd; }', {
+        user: 'root',
+        timeout: 30000
+    });
+    if (sshd.code !== 0) {
+        throw runner.resultError(sshd, 'Starting sshd in the container');
+    }
+}
+
+function hostBlock(profile, key) {
+    return [
+        BLOCK_START,
+        `Host ${SSH_HOST}`,
+        '    HostName 127.0.0.1',
+        `    Port ${ports.hostPort(profile, 22)}`,
+        `    User ${profile.remoteUser}`,
+        `    IdentityFile "${key}"`,
+        '    IdentitiesOnly yes',
+        // The container gets new host keys whenever it is recreated
+        '    StrictHostKeyChecking no',
+        `    UserKnownHostsFile ${os.platform() === 'win32' ? 'NUL' : '/dev/null'}`,
+        '    LogLevel ERROR',
+        BLOCK_END
+    ].join('\n');
+}
+
+// Write or replace the managed Host block. It goes at the end of the file, so options
+// that come before any Host line keep applying to all hosts.
+function writeSshConfig(profile, key, log) {
+    const file = sshConfigFile();
+    const block = hostBlock(profile, key);
+    let content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const start = content.indexOf(BLOCK_START);
+    const end = content.indexOf(BLOCK_END);
+    if (start >= 0 && end > start) {
+        content = content.slice(0, start) + block + content.slice(end + BLOCK_END.length);
+    } else {
+        content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}${content ? '\n' : ''}${block}\n`;
+    }
+    const unmanaged = content.replace(block, '');
+    if (new RegExp(`^\\s*Host\\s+(.*\\s)?${SSH_HOST}(\\s|$)`, 'm').test(unmanaged)) {
+        log(`${file} has its own "Host ${SSH_HOST}" entry, which takes precedence over the managed one`, true);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, content, { mode: 0o600 });
+    log(`Updated the ${SSH_HOST} entry in ${file}`);
+}
+
+// Set up key, authorized_keys and SSH config, then open the container folder with Remote-SSH.
+// Resolves false when the user cancelled.
+async function attach(profile, containerPath, log) {
+    if (!remoteSshInstalled()) {
+        throw new Error(`SSH attach needs the "Remote - SSH" extension (${REMOTE_SSH_EXTENSION}). Install it or set rsm-vscode.attachMode to devContainers.`);
+    }
+    const key = await ensureKeyPair(log);
+    if (!key) {
+        return false;
+    }
+    await installPublicKey(profile, key);
+    writeSshConfig(profile, key, log);
+    await openFolder(containerPath, { forceReuseWindow: true });
+    return true;
+}
+
+function openFolder(containerPath, options = {}) {
+    return vscode.commands.executeCommand(
+        'vscode.openFolder',
+        vscode.Uri.parse(`vscode-remote://ssh-remote+${SSH_HOST}${containerPath}`),
+        options
+    );
+}
+
+module.exports = {
+    SSH_HOST,
+    REMOTE_SSH_EXTENSION,
+    attachMode,
+    remoteSshInstalled,
+    attach,
+    openFolder
+};
@@ -0,0 +1,205 @@
+const vscode = require('vscode');
+const runtime = require('./runtime');
+
+// Samples kept for the rolling history
+const HISTORY_LENGTH = 30;
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+const UNITS = {
+    b: 1,
+    kb: 1e3,
+    mb: 1e6,
+    gb: 1e9,
+    tb: 1e12,
+    kib: 1024,
+    mib: 1024 ** 2,
+    gib: 1024 ** 3,
+    tib: 1024 ** 4
+};
+
+// "1.5GiB" or "12.3kB" in bytes
+function parseSize(text) {
+    const match = String(text).trim().match(/^([\d.]+)\s*([a-z]*)$/i);
+    if (!match) {
+        return 0;
+    }
+    return Number(match[1]) * (UNITS[match[2].toLowerCase()] || 1);
+}
+
+function parsePercent(text) {
+    return Number(String(text).replace('%', '')) || 0;
+}
+
+// "used / limit" pairs as printed by docker stats
+function parsePair(text) {
+    const [first, second] = String(text || '').split('/');
+    return [parseSize(first), parseSize(second)];
+}
+
+// One `stats --format '{{json .}}'` line into numbers. Docker and Podman use the same keys
+// except for the pid count.
+function parseStats(line) {
+    const raw = JSON.parse(line);
+    const [memUsed, memLimit] = parsePair(raw.MemUsage);
+    const [netIn, netOut] = parsePair(raw.NetIO);
+    const [blockRead, blockWrite] = parsePair(raw.BlockIO);
+    return {
+        cpu: parsePercent(raw.CPUPerc || raw.CPU),
+        memPercent: parsePercent(raw.MemPerc),
+        memUsed,
+        memLimit,
+        netIn,
+        netOut,
+        blockRead,
+        blockWrite,
+        pids: Number(raw.PIDs || raw.PIDS) || 0,
+        time: Date.now()
+    };
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Unicode sparkline of values scaled to max (or the largest value)
+function sparkline(values, max) {
+    const top = max || Math.max(...values, 1);
+    return values.map(v => SPARK[Math.min(SPARK.length - 1, Math.round((v / top) * (SPARK.length - 1)))]).join('');
+}
+
+// Samples `stats` for the RSM container while it is running and keeps a short history.
+// Warns once each time memory use crosses rsm-vscode.memoryWarningThreshold.
+class StatsMonitor {
+    constructor(monitor, getContainerName, log) {
+        this.monitor = monitor;
+        this.getContainerName = getContainerName;
+        this.log = log;
+        this.history = [];
+        this.timer = undefined;
+        this.sampling = false;
+        this.warned = false;
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChange = this.emitter.event;
+        this.listener = monitor.onDidChange(() => this.update());
+    }
+
+    get latest() {
+        return this.history[this.history.length - 1];
+    }
+
+    // Start or stop sampling to follow the container state
+    update() {
+        const running = this.monitor.state === 'running' || this.monitor.state === 'attached';
+        if (running && !this.timer) {
+            const interval = vscode.workspace.getConfiguration('rsm-vscode').get('statsInterval') || 5;
+            this.sample();
+            this.timer = setInterval(() => this.sample(), Math.max(2, interval) * 1000);
+        } else if (!running && this.timer) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+            this.history = [];
+            this.emitter.fire(this);
+        }
+    }
+
+    restart() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+        this.update();
+    }
+
+    async sample() {
+        if (this.sampling) {
+            return;
+        }
+        this.sampling = true;
+        try {
+            const result = await runtime.engine(
+                ['stats', '--no-stream', '--format', '{{json .}}', this.getContainerName()],
+                { timeout: 15000 }
+            );
+            const line = result.stdout.split(/\r?\n/).find(l => l.trim().startsWith('{'));
+            if (result.code !== 0 || !line) {
+                return;
+            }
+            this.history.push(parseStats(line));
+            if (this.history.length > HISTORY_LENGTH) {
+                this.history.shift();
+            }
+            this.checkThreshold();
+            this.emitter.fire(this);
+        } catch (error) {
+            this.log(`Could not sample container stats: ${error.message}`);
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    checkThreshold() {
+        const threshold = vscode.workspace.getConfiguration('rsm-vscode').get('memoryWarningThreshold');
+        const latest = this.latest;
+        if (!threshold || !latest) {
+            return;
+        }
+        if (latest.memPercent >= threshold && !this.warned) {
+            this.warned = true;
+            const message = `The RSM container is using ${latest.memPercent.toFixed(0)}% of its memory ` +
+                `(${formatBytes(latest.memUsed)} of ${formatBytes(latest.memLimit)}). R or Python may fail or be killed when it runs out.`;
+            this.log(message);
+            vscode.window.showWarningMessage(message, 'Open Settings').then(choice => {
+                if (choice === 'Open Settings') {
+                    vscode.commands.executeCommand('workbench.action.openSettings', 'rsm-vscode.memory');
+                }
+            });
+        } else if (latest.memPercent < threshold - 5) {
+            // Warn again only after usage has dropped back clearly below the threshold
+            this.warned = false;
+        }
+    }
+
+    // Figures for display: current values and sparklines of the history
+    summary() {
+        const latest = this.latest;
+        if (!latest) {
+            return undefined;
+        }
+        // Network and block I/O are cumulative counters, so their history shows the change per sample
+        const deltas = (a, b) => this.history.slice(1).map((s, i) =>
+            Math.max(0, s[a] - this.history[i][a]) + Math.max(0, s[b] - this.history[i][b]));
+        return {
+            cpu: `${latest.cpu.toFixed(1)}%`,
+            cpuHistory: sparkline(this.history.map(s => s.cpu), Math.max(100, ...this.history.map(s => s.cpu))),
+            memory: `${formatBytes(latest.memUsed)} / ${formatBytes(latest.memLimit)} (${latest.memPercent.toFixed(1)}%)`,
+            memoryHistory: sparkline(this.history.map(s => s.memPercent), 100),
+            network: `↓ ${formatBytes(latest.netIn)} ↑ ${formatBytes(latest.netOut)}`,
+            networkHistory: sparkline(deltas('netIn', 'netOut')),
+            blockIO: `read ${formatBytes(latest.blockRead)} write ${formatBytes(latest.blockWrite)}`,
+            blockIOHistory: sparkline(deltas('blockRead', 'blockWrite')),
+            pids: latest.pids
+        };
+    }
+
+    dispose() {
+        if (this.timer) {
+            clearInterval(this.timer);
+        }
+        this.listener.dispose();
+        this.emitter.dispose();
+    }
+}
+
+module.exports = {
+    parseStats,
+    formatBytes,
+    StatsMonitor
+};
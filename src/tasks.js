@@ -0,0 +1,209 @@
+const vscode = require('vscode');
+const runtime = require('./runtime');
+const compose = require('./compose');
+const tools = require('./tools');
+
+const TASK_TYPE = 'rsm';
+const SCRIPT_DIR = '/usr/local/bin';
+
+// Scripts shipped in the container that are always offered as tasks
+const BUILTIN_SCRIPTS = {
+    setup: 'Set up the RSM container',
+    clean: 'Uninstall local R and Python packages',
+    radiant: 'Start Radiant',
+    gitgadget: 'Start GitGadget'
+};
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+// Script names are passed to the shell, so only plain file names are accepted
+function isAllowed(script) {
+    if (!/^[\w.-]+$/.test(script)) {
+        return false;
+    }
+    return script in BUILTIN_SCRIPTS || (getConfig().get('taskScripts') || []).includes(script);
+}
+
+function quote(arg) {
+    return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+// Pseudoterminal running one script in the container and closing with its exit code.
+// Scripts of managed tools go through the ToolManager so the tool is not started twice.
+class ScriptTerminal {
+    constructor(definition, getProfile, toolManager) {
+        this.definition = definition;
+        this.getProfile = getProfile;
+        this.toolManager = toolManager;
+        this.writeEmitter = new vscode.EventEmitter();
+        this.closeEmitter = new vscode.EventEmitter();
+        this.onDidWrite = this.writeEmitter.event;
+        this.onDidClose = this.closeEmitter.event;
+        this.cancellation = new vscode.CancellationTokenSource();
+        this.child = undefined;
+        this.line = '';
+    }
+
+    write(text) {
+        this.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+    }
+
+    finish(code) {
+        this.write(`\n${code === 0 ? 'Done' : `Exited with code ${code}`}\n`);
+        this.closeEmitter.fire(code);
+    }
+
+    open() {
+        this.run().catch(error => {
+            this.write(`\x1b[31m${error.message}\x1b[0m\n`);
+            this.finish(1);
+        });
+    }
+
+    async run() {
+        const { script, args = [] } = this.definition;
+        if (!isAllowed(script)) {
+            throw new Error(`"${script}" is not an RSM script. Add it to the rsm-vscode.taskScripts setting to run it as a task.`);
+        }
+
+        const profile = this.getProfile();
+        const name = compose.containerName(profile);
+        const info = await runtime.inspect(name);
+        if (!info?.State?.Running) {
+            throw new Error('The RSM container is not running. Start it with "RSM: Attach to Container" first.');
+        }
+
+        const tool = tools.getTool(script);
+        if (tool) {
+            const progress = { report: ({ message }) => this.write(`${message}\n`) };
+            const ready = await this.toolManager.start(tool, progress, this.cancellation.token);
+            if (!ready) {
+                throw new Error(`${tool.label} did not answer on port ${tool.port}`);
+            }
+            this.write(`${tool.label} is running at ${this.toolManager.url(tool)}\n`);
+            await this.toolManager.open(tool);
+            this.finish(0);
+            return;
+        }
+
+        const command = [`${SCRIPT_DIR}/${script}`, ...args.map(quote)].join(' ');
+        this.write(`\x1b[1m> ${command}\x1b[0m\n`);
+        const result = await runtime.exec(name, command, {
+            user: profile.remoteUser,
+            token: this.cancellation.token,
+            keepStdinOpen: true,
+            onSpawn: child => {
+                this.child = child;
+                child.stdin.on('error', () => {});
+            },
+            onStdout: data => this.write(data),
+            onStderr: data => this.write(data)
+        });
+        this.child = undefined;
+        this.finish(result.cancelled ? 130 : (result.code ?? 1));
+    }
+
+    // There is no tty in the container, so echo input locally and send it a line at a time
+    handleInput(data) {
+        if (!this.child) {
+            return;
+        }
+        for (const char of data) {
+            if (char === '\r') {
+                this.write('\n');
+                this.child.stdin.write(`${this.line}\n`);
+                this.line = '';
+            } else if (char === '\x7f') {
+                if (this.line.length > 0) {
+                    this.line = this.line.slice(0, -1);
+                    this.writeEmitter.fire('\b \b');
+                }
+            } else if (char === '\x04') {
+                this.child.stdin.end();
+            } else if (char === '\x03') {
+                this.cancellation.cancel();
+            } else if (char >= ' ') {
+                this.line += char;
+                this.writeEmitter.fire(char);
+            }
+        }
+    }
+
+    close() {
+        this.cancellation.cancel();
+        this.cancellation.dispose();
+    }
+}
+
+// Provides `rsm` tasks for the container scripts: the built-in ones plus allow-listed
+// scripts from the rsm-vscode.taskScripts setting that exist in /usr/local/bin
+class RsmTaskProvider {
+    constructor(getProfile, toolManager) {
+        this.getProfile = getProfile;
+        this.toolManager = toolManager;
+    }
+
+    // onExit, when given, receives the exit code when the task's terminal closes
+    createTask(definition, scope = vscode.TaskScope.Workspace, onExit = undefined) {
+        const task = new vscode.Task(
+            definition,
+            scope,
+            definition.script,
+            TASK_TYPE,
+            new vscode.CustomExecution(async resolved => {
+                const terminal = new ScriptTerminal(resolved, this.getProfile, this.toolManager);
+                if (onExit) {
+                    terminal.onDidClose(onExit);
+                }
+                return terminal;
+            })
+        );
+        task.detail = BUILTIN_SCRIPTS[definition.script] || `${SCRIPT_DIR}/${definition.script}`;
+        if (definition.script === 'setup') {
+            task.group = vscode.TaskGroup.Build;
+        }
+        return task;
+    }
+
+    // Allow-listed scripts that are installed in the container; all of them when it is not running
+    async extraScripts() {
+        const allowed = (getConfig().get('taskScripts') || []).filter(script => isAllowed(script) && !(script in BUILTIN_SCRIPTS));
+        if (allowed.length === 0) {
+            return [];
+        }
+        try {
+            const profile = this.getProfile();
+            const result = await runtime.exec(compose.containerName(profile),
+                `for f in ${allowed.map(quote).join(' ')}; do [ -x "${SCRIPT_DIR}/$f" ] && echo "$f"; done; true`,
+                { user: profile.remoteUser, timeout: 10000 });
+            if (result.code === 0) {
+                const installed = result.stdout.split(/\r?\n/).filter(Boolean);
+                return allowed.filter(script => installed.includes(script));
+            }
+        } catch (error) {
+            // No container runtime; fall through to the unfiltered list
+        }
+        return allowed;
+    }
+
+    async provideTasks() {
+        const scripts = [...Object.keys(BUILTIN_SCRIPTS), ...await this.extraScripts()];
+        return scripts.map(script => this.createTask({ type: TASK_TYPE, script }));
+    }
+
+    // Tasks from tasks.json carry their own definition (including args) and scope
+    resolveTask(task) {
+        if (!task.definition.script) {
+            return undefined;
+        }
+        return this.createTask(task.definition, task.scope);
+    }
+}
+
+module.exports = {
+    TASK_TYPE,
+    BUILTIN_SCRIPTS,
+    RsmTaskProvider
+};
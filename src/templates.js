@@ -0,0 +1,240 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const runner = require('./runner');
+
+// Settings file in a template folder; everything else in the folder is copied
+const TEMPLATE_FILE = 'template.json';
+
+// {{name}} in file names and text files is replaced with the project name
+const NAME_PLACEHOLDER = /\{\{\s*name\s*\}\}/g;
+
+const R_EXTENSIONS = ['REditorSupport.r'];
+const PYTHON_EXTENSIONS = ['ms-python.python', 'ms-toolsai.jupyter'];
+
+const GITIGNORE = [
+    '.Rhistory',
+    '.RData',
+    '.Rproj.user/',
+    '__pycache__/',
+    '.ipynb_checkpoints/',
+    ''
+].join('\n');
+
+const NOTEBOOK = {
+    cells: [
+        {
+            cell_type: 'markdown',
+            metadata: {},
+            source: ['# {{name}}\n', '\n', 'Put raw data in `data/` and keep this notebook runnable from top to bottom.']
+        },
+        {
+            cell_type: 'code',
+            execution_count: null,
+            metadata: {},
+            outputs: [],
+            source: ['import pandas as pd\n', '\n', '# df = pd.read_csv("data/...")']
+        }
+    ],
+    metadata: {
+        kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+        language_info: { name: 'python' }
+    },
+    nbformat: 4,
+    nbformat_minor: 5
+};
+
+// Templates shipped with the extension. `extensions` and `settings` go into the generated
+// devcontainer and workspace files.
+const BUILTIN_TEMPLATES = {
+    'quarto-report': {
+        label: 'Quarto report',
+        description: 'Quarto document with R and Python chunks',
+        extensions: ['quarto.quarto', ...R_EXTENSIONS, ...PYTHON_EXTENSIONS],
+        settings: {
+            'quarto.render.renderOnSave': false
+        },
+        files: {
+            '_quarto.yml': 'project:\n  title: "{{name}}"\n\nformat:\n  html:\n    toc: true\n    code-fold: true\n',
+            'report.qmd': '---\ntitle: "{{name}}"\nformat: html\n---\n\n## Introduction\n\n```{r}\nsummary(cars)\n```\n\n```{python}\nimport sys\nprint(sys.version)\n```\n',
+            'data/.gitkeep': '',
+            '.gitignore': `${GITIGNORE}/.quarto/\n_site/\n`
+        }
+    },
+    'python-notebook': {
+        label: 'Python notebook analysis',
+        description: 'Jupyter notebook with a data folder and requirements.txt',
+        extensions: PYTHON_EXTENSIONS,
+        settings: {
+            'jupyter.notebookFileRoot': '${workspaceFolder}'
+        },
+        files: {
+            'analysis.ipynb': `${JSON.stringify(NOTEBOOK, null, 1)}\n`,
+            'requirements.txt': '# Packages beyond those in the RSM container\n',
+            'data/.gitkeep': '',
+            '.gitignore': GITIGNORE
+        }
+    },
+    'r-package': {
+        label: 'R package',
+        description: 'Package skeleton with testthat tests',
+        extensions: R_EXTENSIONS,
+        settings: {
+            'r.bracketedPaste': true,
+            'r.plot.useHttpgd': true
+        },
+        files: {
+            'DESCRIPTION': 'Package: {{name}}\nTitle: What the Package Does (One Line)\nVersion: 0.0.0.9000\nAuthors@R: person("First", "Last", email = "first.last@example.com", role = c("aut", "cre"))\nDescription: What the package does (one paragraph).\nLicense: MIT + file LICENSE\nEncoding: UTF-8\nSuggests: testthat (>= 3.0.0)\nConfig/testthat/edition: 3\n',
+            'NAMESPACE': 'export(hello)\n',
+            'R/hello.R': '#\' Say hello\n#\'\n#\' @param name Who to greet\n#\' @export\nhello <- function(name = "world") {\n  paste0("Hello, ", name, "!")\n}\n',
+            'tests/testthat.R': 'library(testthat)\nlibrary({{name}})\n\ntest_check("{{name}}")\n',
+            'tests/testthat/test-hello.R': 'test_that("hello greets", {\n  expect_equal(hello("RSM"), "Hello, RSM!")\n})\n',
+            '.Rbuildignore': '^.*\\.code-workspace$\n^\\.devcontainer\\.json$\n',
+            '.gitignore': GITIGNORE
+        }
+    },
+    'radiant-state': {
+        label: 'Radiant state file project',
+        description: 'Folder for data and a Radiant state file, with a script to reopen it',
+        extensions: R_EXTENSIONS,
+        settings: {},
+        files: {
+            'radiant.R': '# Open Radiant with this project\'s state. Save the state from Radiant\n# (Report > Save radiant state file) as {{name}}.state.rda in this folder.\nstate <- "{{name}}.state.rda"\nif (file.exists(state)) {\n  radiant::radiant(state)\n} else {\n  radiant::radiant()\n}\n',
+            'README.md': '# {{name}}\n\nData goes in `data/`. Run `radiant.R` to open Radiant with `{{name}}.state.rda`, or use "RSM: Start Radiant".\n',
+            'data/.gitkeep': '',
+            '.gitignore': GITIGNORE
+        }
+    }
+};
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+function isGitUrl(source) {
+    return /^(https?:\/\/|git@|ssh:\/\/|git:\/\/)/.test(source) || source.endsWith('.git');
+}
+
+// Local checkout of a template repository in global storage, cloned once and pulled after that
+async function syncRepository(url, storageDir, log) {
+    const dir = path.join(storageDir, 'templates', crypto.createHash('sha1').update(url).digest('hex').slice(0, 12));
+    const exists = fs.existsSync(path.join(dir, '.git'));
+    const args = exists ?
+        ['-C', dir, 'pull', '--ff-only', '--depth', '1'] :
+        ['clone', '--depth', '1', url, dir];
+    log(`${exists ? 'Updating' : 'Cloning'} templates from ${url}`);
+    const result = await runner.run('git', args, { timeout: 120000 });
+    if (result.code !== 0) {
+        if (exists) {
+            // Offline or rewritten history: the last checkout still works
+            log(`Could not update templates from ${url}: ${runner.resultError(result, 'git pull').message}`);
+            return dir;
+        }
+        throw runner.resultError(result, `git clone ${url}`);
+    }
+    return dir;
+}
+
+// Every subfolder of dir is a template; template.json can give its label, description,
+// extensions and settings
+function readTemplates(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => {
+            const folder = path.join(dir, entry.name);
+            const file = path.join(folder, TEMPLATE_FILE);
+            const meta = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            return {
+                id: entry.name,
+                label: meta.label || entry.name,
+                description: meta.description || folder,
+                extensions: meta.extensions || [],
+                settings: meta.settings || {},
+                folder
+            };
+        });
+}
+
+// A built-in template has `files`, one from rsm-vscode.templateSource a `folder` to copy
+/** @typedef {{ id: string, label: string, description: string, extensions: string[], settings: Record<string, any>, files?: Record<string, string>, folder?: string, builtin?: boolean }} Template */
+
+// Built-in templates plus those from the rsm-vscode.templateSource directory or git repository
+/** @returns {Promise<Template[]>} */
+async function getTemplates(storageDir, log) {
+    const templates = Object.entries(BUILTIN_TEMPLATES).map(([id, template]) => ({ id, ...template, builtin: true }));
+    const source = (getConfig().get('templateSource') || '').trim();
+    if (!source) {
+        return templates;
+    }
+    try {
+        const dir = isGitUrl(source) ? await syncRepository(source, storageDir, log) : source;
+        return [...templates, ...readTemplates(dir)];
+    } catch (error) {
+        log(`Could not read templates from ${source}: ${error.message}`, true);
+        return templates;
+    }
+}
+
+async function pickTemplate(storageDir, log) {
+    const templates = await getTemplates(storageDir, log);
+    /** @type {Array<vscode.QuickPickItem & { template?: Template }>} */
+    const items = [];
+    for (const builtin of [true, false]) {
+        const group = templates.filter(template => !!template.builtin === builtin);
+        if (group.length > 0) {
+            items.push({ label: builtin ? 'Built-in' : 'From rsm-vscode.templateSource', kind: vscode.QuickPickItemKind.Separator });
+            items.push(...group.map(template => ({ label: template.label, description: template.description, template })));
+        }
+    }
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Project template' });
+    return choice?.template;
+}
+
+function fill(text, name) {
+    return text.replace(NAME_PLACEHOLDER, name);
+}
+
+function copyFolder(source, target, name) {
+    for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+        if (entry.name === '.git' || entry.name === TEMPLATE_FILE) {
+            continue;
+        }
+        const from = path.join(source, entry.name);
+        const to = path.join(target, fill(entry.name, name));
+        if (entry.isDirectory()) {
+            fs.mkdirSync(to, { recursive: true });
+            copyFolder(from, to, name);
+            continue;
+        }
+        const content = fs.readFileSync(from);
+        // Only text files get the name filled in
+        fs.writeFileSync(to, content.includes(0) ? content : fill(content.toString('utf8'), name));
+    }
+}
+
+// Create the project folder parent/name from the template
+function createProject(template, parent, name) {
+    const target = path.join(parent, name);
+    if (fs.existsSync(target) && fs.readdirSync(target).length > 0) {
+        throw new Error(`${target} already exists and is not empty`);
+    }
+    fs.mkdirSync(target, { recursive: true });
+    if (template.folder) {
+        copyFolder(template.folder, target, name);
+    } else {
+        for (const [file, content] of Object.entries(template.files)) {
+            const to = path.join(target, fill(file, name));
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            fs.writeFileSync(to, fill(content, name));
+        }
+    }
+    return target;
+}
+
+module.exports = {
+    BUILTIN_TEMPLATES,
+    getTemplates,
+    pickTemplate,
+    createProject
+};
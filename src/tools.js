@@ -0,0 +1,243 @@
+const vscode = require('vscode');
+const http = require('http');
+const runtime = require('./runtime');
+const runner = require('./runner');
+const compose = require('./compose');
+const ports = require('./ports');
+
+// Web tools shipped in the container. More can be added with the rsm-vscode.tools setting;
+// `pattern` matches the tool's command line in the container's process list.
+const BUILTIN_TOOLS = {
+    radiant: {
+        label: 'Radiant',
+        command: '/usr/local/bin/radiant',
+        port: 8181,
+        pattern: 'radiant'
+    },
+    gitgadget: {
+        label: 'GitGadget',
+        command: '/usr/local/bin/gitgadget',
+        port: 8282,
+        pattern: 'gitgadget'
+    }
+};
+
+const DEFAULTS = {
+    path: '/',
+    readyTimeout: 60
+};
+
+// Where started tools keep their pid and output inside the container
+const STATE_DIR = '/tmp/rsm-tools';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Command line of a tool we launched: the launch shell, or the command itself when the shell execs it
+function launchPattern(tool) {
+    return `(/bin/sh -c )?${escapeRegExp(tool.command)}`;
+}
+
+function getConfig() {
+    return vscode.workspace.getConfiguration('rsm-vscode');
+}
+
+// Built-in tools merged with the user-defined ones from settings
+function getTools() {
+    const userTools = getConfig().get('tools') || {};
+    const merged = {};
+    for (const [id, tool] of Object.entries(BUILTIN_TOOLS)) {
+        merged[id] = { ...tool };
+    }
+    for (const [id, tool] of Object.entries(userTools)) {
+        merged[id] = { ...(merged[id] || {}), ...tool };
+    }
+    return Object.entries(merged)
+        .filter(([, tool]) => tool.command && tool.port)
+        .map(([id, tool]) => ({
+            ...DEFAULTS,
+            ...tool,
+            id,
+            label: tool.label || id,
+            pattern: tool.pattern || escapeRegExp(tool.command),
+            openIn: tool.openIn || getConfig().get('toolsOpenIn') || 'browser'
+        }));
+}
+
+function getTool(id) {
+    return getTools().find(tool => tool.id === id);
+}
+
+async function pickTool(placeHolder) {
+    const choice = await vscode.window.showQuickPick(
+        getTools().map(tool => ({ label: tool.label, description: `port ${tool.port}`, detail: tool.command, tool })),
+        { placeHolder }
+    );
+    return choice?.tool;
+}
+
+// Any HTTP response means the tool is serving
+function probe(url) {
+    return new Promise(resolve => {
+        const req = http.get(url, res => {
+            res.resume();
+            resolve(true);
+        });
+        req.setTimeout(2000, () => req.destroy());
+        req.on('error', () => resolve(false));
+    });
+}
+
+// Starts, stops and opens the tools defined by getTools() in the RSM container
+class ToolManager {
+    constructor(getProfile, log) {
+        this.getProfile = getProfile;
+        this.log = log;
+        this.panels = new Map();
+    }
+
+    url(tool) {
+        const port = ports.hostPort(this.getProfile(), tool.port);
+        return `http://localhost:${port}${tool.path}`;
+    }
+
+    exec(script, tool, options = {}) {
+        const profile = this.getProfile();
+        return runtime.exec(compose.containerName(profile), script, {
+            user: profile.remoteUser,
+            timeout: 30000,
+            // Passed through the environment so the script's own command line never matches the pattern
+            containerEnv: {
+                RSM_TOOL_COMMAND: tool.command,
+                RSM_TOOL_PATTERN: tool.pattern,
+                RSM_TOOL_LAUNCHED: launchPattern(tool)
+            },
+            ...options
+        });
+    }
+
+    isServing(tool) {
+        return probe(this.url(tool));
+    }
+
+    // True when the tool's process is already running in the container, even if it is not serving yet
+    async isRunning(tool) {
+        const result = await this.exec('pgrep -i -f "$RSM_TOOL_PATTERN" > /dev/null', tool);
+        return result.code === 0;
+    }
+
+    // Poll the tool's port until it answers; resolves false on timeout or cancellation
+    async waitForReady(tool, token) {
+        const deadline = Date.now() + tool.readyTimeout * 1000;
+        while (Date.now() < deadline) {
+            if (token?.isCancellationRequested) {
+                return false;
+            }
+            if (await this.isServing(tool)) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        return false;
+    }
+
+    // Launch the tool detached from the exec session in its own process group, so it can be stopped as a whole
+    async launch(tool) {
+        const script = [
+            `mkdir -p ${STATE_DIR} && cd "$HOME" || exit 1`,
+            `nohup setsid /bin/sh -c "$RSM_TOOL_COMMAND" > ${STATE_DIR}/${tool.id}.log 2>&1 < /dev/null &`,
+            `echo $! > ${STATE_DIR}/${tool.id}.pid`
+        ].join('\n');
+        const result = await this.exec(script, tool);
+        if (result.code !== 0) {
+            throw runner.resultError(result, `Starting ${tool.label}`);
+        }
+        this.log(`Started ${tool.label} in the container (output in ${STATE_DIR}/${tool.id}.log)`);
+    }
+
+    // Start the tool unless an instance is already serving or starting. Returns true once it is ready.
+    async start(tool, progress, token) {
+        if (await this.isServing(tool)) {
+            this.log(`${tool.label} is already running at ${this.url(tool)}`);
+            return true;
+        }
+        if (await this.isRunning(tool)) {
+            this.log(`${tool.label} is already starting, waiting for it`);
+        } else {
+            progress?.report({ message: `Launching ${tool.label}...` });
+            await this.launch(tool);
+        }
+        progress?.report({ message: `Waiting for ${tool.label} on port ${tool.port}...` });
+        return this.waitForReady(tool, token);
+    }
+
+    // Stop the process group we started. Without its pid file, only processes whose whole command
+    // line is the tool's launch command are stopped, never other processes that mention the tool.
+    async stop(tool) {
+        const pidFile = `${STATE_DIR}/${tool.id}.pid`;
+        const script = [
+            `if [ -f ${pidFile} ]; then kill -TERM -"$(cat ${pidFile})" 2>/dev/null; rm -f ${pidFile}`,
+            'else pkill -x -f "$RSM_TOOL_LAUNCHED"',
+            'fi',
+            'true'
+        ].join('\n');
+        const result = await this.exec(script, tool);
+        if (result.code !== 0) {
+            throw runner.resultError(result, `Stopping ${tool.label}`);
+        }
+        const panel = this.panels.get(tool.id);
+        if (panel) {
+            panel.dispose();
+        }
+        this.log(`Stopped ${tool.label}`);
+    }
+
+    async open(tool) {
+        const uri = await vscode.env.asExternalUri(vscode.Uri.parse(this.url(tool)));
+        if (tool.openIn === 'webview') {
+            this.showPanel(tool, uri);
+        } else {
+            await vscode.env.openExternal(uri);
+        }
+    }
+
+    showPanel(tool, uri) {
+        let panel = this.panels.get(tool.id);
+        if (!panel) {
+            panel = vscode.window.createWebviewPanel(`rsm-tool-${tool.id}`, tool.label, vscode.ViewColumn.Active, {
+                enableScripts: true,
+                retainContextWhenHidden: true
+            });
+            panel.onDidDispose(() => this.panels.delete(tool.id));
+            this.panels.set(tool.id, panel);
+        }
+        const src = uri.toString();
+        panel.webview.html = `<!DOCTYPE html>
+<html>
+<head>
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; frame-src ${uri.scheme}://${uri.authority}; style-src 'unsafe-inline';">
+    <style>html, body, iframe { width: 100%; height: 100%; margin: 0; padding: 0; border: none; overflow: hidden; }</style>
+</head>
+<body>
+    <iframe src="${src}"></iframe>
+</body>
+</html>`;
+        panel.reveal();
+    }
+
+    dispose() {
+        for (const panel of this.panels.values()) {
+            panel.dispose();
+        }
+        this.panels.clear();
+    }
+}
+
+module.exports = {
+    BUILTIN_TOOLS,
+    getTools,
+    getTool,
+    pickTool,
+    ToolManager
+};
@@ -0,0 +1,297 @@
+const vscode = require('vscode');
+const { formatSize } = require('./packages');
+
+const STATE_ICONS = {
+    unknown: '$(question)',
+    stopped: '$(vm-outline)',
+    starting: '$(loading~spin)',
+    running: '$(vm-running)',
+    attached: '$(remote)'
+};
+
+// Commands offered from the status bar menu, by container state
+const MENU_ITEMS = [
+    { label: 'Attach to Container', command: 'rsm-vscode.startContainer', states: ['stopped', 'running', 'unknown'] },
+    { label: 'Detach from Container', command: 'rsm-vscode.stopContainer', states: ['attached'] },
+    { label: 'Open Recent Project', command: 'rsm-vscode.openRecentProject' },
+    { label: 'New Project from Template', command: 'rsm-vscode.newProject' },
+    { label: 'Change Workspace Folder', command: 'rsm-vscode.changeWorkspace', states: ['attached'] },
+    { label: 'Start Radiant', command: 'rsm-vscode.startRadiant', states: ['running', 'attached'] },
+    { label: 'Start GitGadget', command: 'rsm-vscode.startGitGadget', states: ['running', 'attached'] },
+    { label: 'Start Tool...', command: 'rsm-vscode.startTool', states: ['running', 'attached'] },
+    { label: 'Stop Tool...', command: 'rsm-vscode.stopTool', states: ['running', 'attached'] },
+    { label: 'Restart Tool...', command: 'rsm-vscode.restartTool', states: ['running', 'attached'] },
+    { label: 'Start Jupyter Server', command: 'rsm-vscode.startJupyter', states: ['running', 'attached'] },
+    { label: 'Setup Container', command: 'rsm-vscode.setupContainer', states: ['attached'] },
+    { label: 'Uninstall Local R and Python Packages', command: 'rsm-vscode.cleanPackages', states: ['attached'] },
+    { label: 'Snapshot Environment', command: 'rsm-vscode.snapshotEnvironment', states: ['running', 'attached'] },
+    { label: 'Restore Environment', command: 'rsm-vscode.restoreEnvironment', states: ['running', 'attached'] },
+    { label: 'Back Up PostgreSQL Database', command: 'rsm-vscode.backupDatabase' },
+    { label: 'Restore PostgreSQL Database', command: 'rsm-vscode.restoreDatabase' },
+    { label: 'Configure Optional Services', command: 'rsm-vscode.configureSidecars' },
+    { label: 'Select Container Profile', command: 'rsm-vscode.selectProfile' },
+    { label: 'Check for Image Updates', command: 'rsm-vscode.checkImageUpdates' },
+    { label: 'Doctor', command: 'rsm-vscode.doctor' },
+    { label: 'Check Git Setup', command: 'rsm-vscode.checkGitSetup', states: ['running', 'attached'] },
+    { label: 'Show Container Logs', command: 'rsm-vscode.showContainerLogs', states: ['running', 'attached'] },
+    { label: 'Show Log', command: 'rsm-vscode.showLog' }
+];
+
+function createStatusBarItem(monitor, stats) {
+    const item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    item.command = 'rsm-vscode.showMenu';
+
+    const update = () => {
+        item.text = `${STATE_ICONS[monitor.state]} RSM: ${monitor.state}`;
+        const lines = [`RSM container: ${monitor.state}`];
+        if (monitor.info) {
+            lines.push(`Container: ${monitor.info.Name.replace(/^\//, '')}`);
+            lines.push(`Image: ${monitor.info.Config.Image}`);
+        }
+        if (monitor.tools.length > 0) {
+            lines.push(`Running: ${monitor.tools.map(t => t.label).join(', ')}`);
+        }
+        if (monitor.sidecars.length > 0) {
+            lines.push(`Services: ${monitor.sidecars.map(s => `${s.label} (${s.health || s.status})`).join(', ')}`);
+        }
+        const usage = stats?.summary();
+        if (usage) {
+            lines.push(`CPU: ${usage.cpu}`);
+            lines.push(`Memory: ${usage.memory}`);
+        }
+        if (monitor.error) {
+            lines.push(`Error: ${monitor.error}`);
+        }
+        item.tooltip = lines.join('\n');
+        item.backgroundColor = monitor.error ?
+            new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+    };
+
+    update();
+    item.show();
+    const listeners = [monitor.onDidChange(update), ...(stats ? [stats.onDidChange(update)] : [])];
+    return {
+        item,
+        dispose() {
+            listeners.forEach(listener => listener.dispose());
+            item.dispose();
+        }
+    };
+}
+
+// Quick pick with the commands that make sense in the current container state
+async function showMenu(monitor) {
+    const items = MENU_ITEMS
+        .filter(entry => !entry.states || entry.states.includes(monitor.state))
+        .map(entry => ({ label: entry.label, command: entry.command }));
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: `RSM container is ${monitor.state}`
+    });
+    if (selected) {
+        await vscode.commands.executeCommand(selected.command);
+    }
+}
+
+const SIDECAR_ICONS = {
+    healthy: 'pass',
+    running: 'pass',
+    starting: 'loading~spin',
+    unhealthy: 'error',
+    exited: 'circle-slash',
+    missing: 'circle-outline'
+};
+
+// Tree item that carries its child items, or the package it lists
+/** @typedef {vscode.TreeItem & { children?: RsmTreeItem[], package?: Record<string, any> }} RsmTreeItem */
+
+function treeItem(label, options = {}) {
+    /** @type {RsmTreeItem} */
+    const item = new vscode.TreeItem(label, options.children ?
+        vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None);
+    item.description = options.description;
+    item.tooltip = options.tooltip;
+    item.iconPath = options.icon ? new vscode.ThemeIcon(options.icon) : undefined;
+    item.contextValue = options.contextValue;
+    item.children = options.children;
+    return item;
+}
+
+// Tree view listing the container, its resource usage, ports, mounts and running tools
+class ContainerTreeProvider {
+    constructor(monitor, stats) {
+        this.monitor = monitor;
+        this.stats = stats;
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.emitter.event;
+        this.listeners = [monitor.onDidChange(() => this.emitter.fire()), ...(stats ? [stats.onDidChange(() => this.emitter.fire())] : [])];
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        if (element) {
+            return element.children || [];
+        }
+
+        const monitor = this.monitor;
+        const info = monitor.info;
+        const roots = [
+            treeItem(info ? info.Name.replace(/^\//, '') : 'rsm-msba', {
+                description: monitor.state,
+                tooltip: info ? `${info.Config.Image}\n${info.State.Status}` : 'Container not created',
+                icon: monitor.state === 'stopped' ? 'vm-outline' : 'vm-running',
+                contextValue: `container-${monitor.state}`
+            })
+        ];
+
+        if (monitor.error) {
+            roots.push(treeItem(monitor.error, { icon: 'warning' }));
+        }
+        if (!info) {
+            return roots;
+        }
+
+        const ports = monitor.getPorts().map(port => treeItem(port.host, {
+            description: `→ ${port.container}`,
+            icon: 'plug'
+        }));
+        const mounts = monitor.getMounts().map(mount => treeItem(mount.target, {
+            description: mount.readOnly ? `${mount.source} (read-only)` : mount.source,
+            tooltip: `${mount.type}: ${mount.source} → ${mount.target}`,
+            icon: mount.type === 'volume' ? 'database' : 'folder'
+        }));
+        const tools = monitor.tools.map(tool => treeItem(tool.label, {
+            description: tool.port ? `port ${tool.port}` : undefined,
+            icon: 'run'
+        }));
+
+        const sidecars = monitor.sidecars.map(sidecar => treeItem(sidecar.label, {
+            description: `${sidecar.health || sidecar.status} · ${sidecar.url}`,
+            tooltip: `${sidecar.containerName}: ${sidecar.status}${sidecar.health ? ` (${sidecar.health})` : ''}\n` +
+                Object.entries(sidecar.env).map(([key, value]) => `${key}=${value}`).join('\n'),
+            icon: SIDECAR_ICONS[sidecar.health || sidecar.status] || 'circle-outline'
+        }));
+
+        const usage = this.stats?.summary();
+        if (usage) {
+            roots.push(treeItem('Resources', {
+                icon: 'pulse',
+                children: [
+                    treeItem('CPU', { description: `${usage.cpu}  ${usage.cpuHistory}`, icon: 'dashboard' }),
+                    treeItem('Memory', { description: `${usage.memory}  ${usage.memoryHistory}`, icon: 'server' }),
+                    treeItem('Network', { description: `${usage.network}  ${usage.networkHistory}`, icon: 'globe' }),
+                    treeItem('Block I/O', { description: `${usage.blockIO}  ${usage.blockIOHistory}`, icon: 'database' }),
+                    treeItem('Processes', { description: String(usage.pids), icon: 'list-flat' })
+                ]
+            }));
+        }
+        roots.push(treeItem('Ports', { icon: 'radio-tower', children: ports }));
+        roots.push(treeItem('Volumes', { icon: 'files', children: mounts }));
+        roots.push(treeItem('Tools', {
+            icon: 'tools',
+            description: tools.length === 0 ? 'none running' : undefined,
+            children: tools
+        }));
+        if (sidecars.length > 0) {
+            roots.push(treeItem('Services', { icon: 'server-environment', children: sidecars }));
+        }
+        return roots;
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.emitter.dispose();
+    }
+}
+
+const LANGUAGE_LABELS = {
+    r: 'R',
+    python: 'Python'
+};
+
+// Tree view of user-installed R and Python packages. Listing runs R and Python in the
+// container, so it only happens on refresh and when the container comes up.
+class PackageTreeProvider {
+    constructor(monitor, loadPackages) {
+        this.monitor = monitor;
+        this.loadPackages = loadPackages;
+        this.result = undefined;
+        this.loading = undefined;
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.emitter.event;
+        this.running = false;
+        this.listener = monitor.onDidChange(() => {
+            const running = monitor.state === 'running' || monitor.state === 'attached';
+            if (running !== this.running) {
+                this.running = running;
+                this.refresh();
+            }
+        });
+    }
+
+    refresh() {
+        this.result = undefined;
+        this.emitter.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        if (element) {
+            return element.children || [];
+        }
+        if (!this.running) {
+            return [treeItem('Start the container to list packages', { icon: 'info' })];
+        }
+        if (!this.result) {
+            this.loading = this.loading || this.loadPackages().finally(() => this.loading = undefined);
+            try {
+                this.result = await this.loading;
+            } catch (error) {
+                return [treeItem(error.message, { icon: 'warning' })];
+            }
+        }
+
+        return Object.entries(LANGUAGE_LABELS).map(([language, label]) => {
+            const error = this.result.errors[language];
+            const packages = this.result[language].map(p => {
+                const item = treeItem(p.name, {
+                    description: `${p.version} · ${formatSize(p.size)}${p.shadows ? ` · shadows ${p.shadows}` : ''}`,
+                    tooltip: p.shadows ?
+                        `${p.name} ${p.version} in ${p.location}\nShadows version ${p.shadows} installed in the image` :
+                        `${p.name} ${p.version} in ${p.location}`,
+                    icon: p.shadows ? 'layers-active' : 'package',
+                    contextValue: 'package'
+                });
+                item.package = p;
+                return item;
+            });
+            const group = treeItem(label, {
+                description: error ? 'could not list packages' : `${packages.length} user-installed`,
+                tooltip: error,
+                icon: error ? 'warning' : undefined,
+                children: packages
+            });
+            if (packages.length === 0) {
+                group.collapsibleState = vscode.TreeItemCollapsibleState.None;
+            }
+            return group;
+        });
+    }
+
+    dispose() {
+        this.listener.dispose();
+        this.emitter.dispose();
+    }
+}
+
+module.exports = {
+    createStatusBarItem,
+    showMenu,
+    ContainerTreeProvider,
+    PackageTreeProvider
+};